@@ -0,0 +1,120 @@
+/**
+ * N3twork Donation Site - SVG Charts
+ * Small, dependency-free charts for the statistics dashboard. Each function
+ * returns an SVG string; colours come from the .chart-* classes in
+ * css/styles.css so the charts follow the active theme.
+ */
+
+'use strict';
+
+const Charts = {
+    escape: function(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    // Round the axis maximum up to 1, 2 or 5 times a power of ten
+    niceMax: function(value) {
+        if (!(value > 0)) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(multiple => multiple * power >= value);
+        return step * power;
+    },
+
+    // Vertical bars, e.g. monthly totals.
+    // points: [{ label, title, value }]; options: { label, format, width, height }
+    columns: function(points, options = {}) {
+        const width = options.width || 560;
+        const height = options.height || 220;
+        const format = options.format || String;
+        const margin = { top: 16, right: 8, bottom: 28, left: 56 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const max = this.niceMax(Math.max(0, ...points.map(point => point.value)));
+        const slot = plotWidth / Math.max(points.length, 1);
+        const barWidth = slot * 0.7;
+
+        const grid = [0, 0.5, 1].map(fraction => {
+            const y = margin.top + plotHeight * (1 - fraction);
+            return `<line class="chart-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y}" y2="${y}"/>` +
+                `<text class="chart-axis" x="${margin.left - 6}" y="${y + 4}" text-anchor="end">${this.escape(format(max * fraction))}</text>`;
+        }).join('');
+
+        const bars = points.map((point, i) => {
+            const barHeight = plotHeight * point.value / max;
+            const x = margin.left + slot * i + (slot - barWidth) / 2;
+            const y = margin.top + plotHeight - barHeight;
+            return `<g><title>${this.escape(`${point.title || point.label}: ${format(point.value)}`)}</title>` +
+                `<rect class="chart-bar" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2"/>` +
+                `<text class="chart-axis" x="${(x + barWidth / 2).toFixed(1)}" y="${height - 8}" text-anchor="middle">${this.escape(point.label)}</text></g>`;
+        }).join('');
+
+        return this.svg(width, height, options.label, grid + bars);
+    },
+
+    // Horizontal bars sized against the largest value, e.g. totals by method.
+    // points: [{ label, value }]; options: { label, format, width }
+    bars: function(points, options = {}) {
+        const width = options.width || 560;
+        const format = options.format || String;
+        const rowHeight = 28;
+        const labelWidth = 150;
+        const valueWidth = 90;
+        const height = Math.max(points.length, 1) * rowHeight;
+        const max = Math.max(0, ...points.map(point => point.value)) || 1;
+        const trackWidth = width - labelWidth - valueWidth;
+
+        const rows = points.map((point, i) => {
+            const y = i * rowHeight;
+            const barWidth = Math.max(trackWidth * point.value / max, point.value > 0 ? 2 : 0);
+            return `<g><title>${this.escape(`${point.label}: ${format(point.value)}`)}</title>` +
+                `<text class="chart-label" x="0" y="${y + 18}">${this.escape(this.truncate(point.label, 20))}</text>` +
+                `<rect class="chart-bar chart-bar-${i % 6}" x="${labelWidth}" y="${y + 6}" width="${barWidth.toFixed(1)}" height="${rowHeight - 12}" rx="3"/>` +
+                `<text class="chart-value" x="${width}" y="${y + 18}" text-anchor="end">${this.escape(format(point.value))}</text></g>`;
+        }).join('');
+
+        return this.svg(width, height, options.label, rows);
+    },
+
+    // Progress towards a goal per row; bars past 100% are capped and marked.
+    // points: [{ label, value, goal, text }]; options: { label, width }
+    progress: function(points, options = {}) {
+        const width = options.width || 560;
+        const rowHeight = 34;
+        const labelWidth = 150;
+        const textWidth = 130;
+        const height = Math.max(points.length, 1) * rowHeight;
+        const trackWidth = width - labelWidth - textWidth;
+
+        const rows = points.map((point, i) => {
+            const y = i * rowHeight;
+            const ratio = point.goal > 0 ? point.value / point.goal : 0;
+            const fillWidth = trackWidth * Math.min(ratio, 1);
+            return `<g><title>${this.escape(`${point.label}: ${point.text}`)}</title>` +
+                `<text class="chart-label" x="0" y="${y + 21}">${this.escape(this.truncate(point.label, 20))}</text>` +
+                `<rect class="chart-track" x="${labelWidth}" y="${y + 10}" width="${trackWidth}" height="14" rx="7"/>` +
+                `<rect class="chart-bar${ratio >= 1 ? ' chart-bar-complete' : ''}" x="${labelWidth}" y="${y + 10}" width="${fillWidth.toFixed(1)}" height="14" rx="7"/>` +
+                `<text class="chart-value" x="${width}" y="${y + 21}" text-anchor="end">${this.escape(point.text)}</text></g>`;
+        }).join('');
+
+        return this.svg(width, height, options.label, rows);
+    },
+
+    truncate: function(text, length) {
+        const value = String(text);
+        return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+    },
+
+    // Without a label the chart is decorative and hidden from screen readers
+    svg: function(width, height, label, body) {
+        return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet"` +
+            `${label ? ` role="img" aria-label="${this.escape(label)}"` : ' aria-hidden="true"'}>${body}</svg>`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Charts;
+}
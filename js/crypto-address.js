@@ -0,0 +1,219 @@
+/**
+ * N3twork Donation Site - Crypto Address Verification
+ * Checks the published addresses before they are shown or watched: bech32/bech32m
+ * segwit addresses (BIP173/BIP350) for BTC and LTC, and EIP-55 mixed-case
+ * checksums for EVM addresses. A failing address is blocked, never displayed.
+ */
+
+'use strict';
+
+const CryptoAddress = {
+    BECH32_CHARSET: 'qpzry9x8gf2tvdw0s3jn54khce6mua7l',
+    BECH32_CONSTANT: 1,
+    BECH32M_CONSTANT: 0x2bc830a3,
+
+    // Returns { valid, reason } for one CryptoConfig entry
+    verify: function(coin) {
+        if (!coin || typeof coin.address !== 'string') {
+            return { valid: false, reason: 'No address configured' };
+        }
+        if (coin.format === 'bech32') {
+            return this.verifySegwit(coin.address, coin.hrp);
+        }
+        if (coin.format === 'eip55') {
+            return this.verifyEip55(coin.address);
+        }
+        return { valid: false, reason: `Unknown address format: ${coin.format}` };
+    },
+
+    // Verify every coin in a config object, keyed by symbol
+    verifyAll: function(config) {
+        const result = {};
+        Object.keys(config).forEach(symbol => {
+            result[symbol] = this.verify(config[symbol]);
+        });
+        return result;
+    },
+
+    verifySegwit: function(address, hrp) {
+        const decoded = this.decodeBech32(address);
+        if (!decoded) return { valid: false, reason: 'Invalid bech32 encoding or checksum' };
+        if (decoded.hrp !== hrp) return { valid: false, reason: `Expected the "${hrp}" prefix` };
+        if (decoded.data.length < 1) return { valid: false, reason: 'Missing witness version' };
+
+        const version = decoded.data[0];
+        const program = this.convertBits(decoded.data.slice(1), 5, 8, false);
+        if (version > 16 || !program || program.length < 2 || program.length > 40) {
+            return { valid: false, reason: 'Invalid witness program' };
+        }
+        if (version === 0 && program.length !== 20 && program.length !== 32) {
+            return { valid: false, reason: 'Invalid witness program length' };
+        }
+        // Version 0 uses bech32, later versions bech32m
+        const expected = version === 0 ? this.BECH32_CONSTANT : this.BECH32M_CONSTANT;
+        if (decoded.constant !== expected) {
+            return { valid: false, reason: 'Wrong checksum variant for the witness version' };
+        }
+        return { valid: true, reason: null };
+    },
+
+    // Returns { hrp, data, constant } or null when the string is not bech32/bech32m
+    decodeBech32: function(address) {
+        if (address.length > 90 || address !== address.toLowerCase() && address !== address.toUpperCase()) {
+            return null;
+        }
+        const lower = address.toLowerCase();
+        const separator = lower.lastIndexOf('1');
+        if (separator < 1 || separator + 7 > lower.length) return null;
+
+        const hrp = lower.slice(0, separator);
+        if (!/^[\x21-\x7e]+$/.test(hrp)) return null;
+
+        const data = [];
+        for (const char of lower.slice(separator + 1)) {
+            const value = this.BECH32_CHARSET.indexOf(char);
+            if (value === -1) return null;
+            data.push(value);
+        }
+
+        const constant = this.polymod(this.expandHrp(hrp).concat(data));
+        if (constant !== this.BECH32_CONSTANT && constant !== this.BECH32M_CONSTANT) return null;
+        return { hrp: hrp, data: data.slice(0, -6), constant: constant };
+    },
+
+    polymod: function(values) {
+        const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+        let checksum = 1;
+        values.forEach(value => {
+            const top = checksum >>> 25;
+            checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+            generator.forEach((g, i) => {
+                if ((top >>> i) & 1) checksum ^= g;
+            });
+        });
+        return checksum >>> 0;
+    },
+
+    expandHrp: function(hrp) {
+        const chars = Array.from(hrp, char => char.charCodeAt(0));
+        return chars.map(c => c >>> 5).concat([0], chars.map(c => c & 31));
+    },
+
+    convertBits: function(data, fromBits, toBits, pad) {
+        let accumulator = 0;
+        let bits = 0;
+        const result = [];
+        const max = (1 << toBits) - 1;
+        for (const value of data) {
+            accumulator = (accumulator << fromBits) | value;
+            bits += fromBits;
+            while (bits >= toBits) {
+                bits -= toBits;
+                result.push((accumulator >>> bits) & max);
+            }
+        }
+        if (pad) {
+            if (bits > 0) result.push((accumulator << (toBits - bits)) & max);
+        } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & max)) {
+            return null;
+        }
+        return result;
+    },
+
+    // All-lowercase or all-uppercase addresses carry no checksum, so they are rejected too
+    verifyEip55: function(address) {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+            return { valid: false, reason: 'Not a 20-byte hex address' };
+        }
+        if (address !== this.toChecksumAddress(address)) {
+            return { valid: false, reason: 'EIP-55 checksum mismatch' };
+        }
+        return { valid: true, reason: null };
+    },
+
+    toChecksumAddress: function(address) {
+        const hex = address.slice(2).toLowerCase();
+        const hash = this.keccak256(Array.from(hex, char => char.charCodeAt(0)));
+        return '0x' + Array.from(hex, (char, i) => {
+            const nibble = (hash[i >>> 1] >>> (i % 2 === 0 ? 4 : 0)) & 0xf;
+            return nibble >= 8 ? char.toUpperCase() : char;
+        }).join('');
+    },
+
+    // Keccak-256 as used by Ethereum (original padding, not SHA3-256).
+    // Lanes are BigInts: slow, but only a handful of addresses are ever hashed.
+    keccak256: function(bytes) {
+        const mask = (1n << 64n) - 1n;
+        const rotate = (value, shift) => shift === 0 ? value : ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & mask;
+        const rate = 136;
+
+        const message = bytes.slice();
+        message.push(0x01);
+        while (message.length % rate !== 0) message.push(0);
+        message[message.length - 1] |= 0x80;
+
+        const state = new Array(25).fill(0n);
+        for (let offset = 0; offset < message.length; offset += rate) {
+            for (let i = 0; i < rate / 8; i++) {
+                let lane = 0n;
+                for (let b = 7; b >= 0; b--) lane = (lane << 8n) | BigInt(message[offset + i * 8 + b]);
+                state[i] ^= lane;
+            }
+            this.keccakF(state, rotate, mask);
+        }
+
+        const output = [];
+        for (let i = 0; i < 4; i++) {
+            for (let b = 0; b < 8; b++) output.push(Number((state[i] >> BigInt(b * 8)) & 0xffn));
+        }
+        return output;
+    },
+
+    KECCAK_ROUND_CONSTANTS: [
+        0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+        0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+        0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+        0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+        0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+        0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+    ],
+
+    // Rotation offsets indexed by x + 5 * y
+    KECCAK_ROTATIONS: [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14],
+
+    keccakF: function(state, rotate, mask) {
+        for (let round = 0; round < 24; round++) {
+            // Theta
+            const columns = [];
+            for (let x = 0; x < 5; x++) {
+                columns[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+            }
+            for (let x = 0; x < 5; x++) {
+                const d = columns[(x + 4) % 5] ^ rotate(columns[(x + 1) % 5], 1);
+                for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+            }
+
+            // Rho and pi
+            const moved = new Array(25);
+            for (let x = 0; x < 5; x++) {
+                for (let y = 0; y < 5; y++) {
+                    moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotate(state[x + 5 * y], this.KECCAK_ROTATIONS[x + 5 * y]);
+                }
+            }
+
+            // Chi
+            for (let y = 0; y < 25; y += 5) {
+                for (let x = 0; x < 5; x++) {
+                    state[x + y] = moved[x + y] ^ ((~moved[(x + 1) % 5 + y] & mask) & moved[(x + 2) % 5 + y]);
+                }
+            }
+
+            // Iota
+            state[0] ^= this.KECCAK_ROUND_CONSTANTS[round];
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CryptoAddress;
+}
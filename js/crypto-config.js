@@ -0,0 +1,63 @@
+/**
+ * N3twork Donation Site - Crypto Donation Addresses
+ * Single source for the published addresses, shared by the crypto modal in
+ * js/main.js and the payment watcher in server/crypto-watcher.js.
+ */
+
+'use strict';
+
+// Served from the site itself; the CSP only allows images from 'self'
+const ICON_BASE_URL = 'images/crypto';
+
+// ETH and BNB Smart Chain share one EVM account
+const EVM_ADDRESS = '0x7c96c8b0664Fe92EF5E734711DFA12D527d975C2';
+
+// format/hrp: how js/crypto-address.js verifies the address before it is shown
+// scheme/chainId: payment URI prefix (BIP21 or EIP-681) and EVM chain for the QR codes
+// confirmations: blocks the watcher waits for before recording a payment
+const CryptoConfig = {
+    BTC: {
+        name: 'Bitcoin',
+        address: 'bc1qhg9ep5m0xajkt4xn3l8szlu44hx9e9v08hudmq',
+        format: 'bech32',
+        hrp: 'bc',
+        icon: `${ICON_BASE_URL}/btc.svg`,
+        scheme: 'bitcoin',
+        decimals: 8,
+        confirmations: 3
+    },
+    ETH: {
+        name: 'Ethereum',
+        address: EVM_ADDRESS,
+        format: 'eip55',
+        icon: `${ICON_BASE_URL}/eth.svg`,
+        scheme: 'ethereum',
+        chainId: 1,
+        decimals: 18,
+        confirmations: 12
+    },
+    BNB: {
+        name: 'Binance',
+        address: EVM_ADDRESS,
+        format: 'eip55',
+        icon: `${ICON_BASE_URL}/bnb.svg`,
+        scheme: 'ethereum',
+        chainId: 56,
+        decimals: 18,
+        confirmations: 15
+    },
+    LTC: {
+        name: 'Litecoin',
+        address: 'ltc1q7ypp6f4n258rm00a6kkhscuq2xd27v26wkz0cr',
+        format: 'bech32',
+        hrp: 'ltc',
+        icon: `${ICON_BASE_URL}/ltc.svg`,
+        scheme: 'litecoin',
+        decimals: 8,
+        confirmations: 6
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CryptoConfig;
+}
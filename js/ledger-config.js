@@ -0,0 +1,20 @@
+/**
+ * N3twork Donation Site - Ledger Settings
+ * Where the signed donation ledger is published and the maintainer's public
+ * key that verifies it. Generate the key pair with
+ *   node server/ledger-sign.js --generate-key <private-key.jwk>
+ * and paste the public JWK it prints below. The private key never goes in the site.
+ */
+
+'use strict';
+
+const LedgerConfig = {
+    url: 'data/ledger.json',
+
+    // { kty: 'EC', crv: 'P-256', x: '...', y: '...' }; null until the maintainer publishes a key
+    publicKey: null
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LedgerConfig;
+}
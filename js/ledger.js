@@ -0,0 +1,127 @@
+/**
+ * N3twork Donation Site - Donation Ledger
+ * The published ledger (data/ledger.json) is a hash chain: each entry carries
+ * the SHA-256 of the previous entry, and the head (entry count and last hash)
+ * is signed with the maintainer's ECDSA P-256 key. LedgerVerifier in js/main.js
+ * checks it in the browser; server/ledger-sign.js appends and signs with Node.
+ * Both sides use WebCrypto, so hashes and signatures match byte for byte.
+ */
+
+'use strict';
+
+const Ledger = {
+    VERSION: 1,
+    GENESIS: '0'.repeat(64),
+    ALGORITHM: { name: 'ECDSA', namedCurve: 'P-256' },
+    SIGNATURE: { name: 'ECDSA', hash: 'SHA-256' },
+
+    // Donation fields covered by an entry's hash, in hashing order
+    FIELDS: ['id', 'timestamp', 'amount', 'currency', 'tool', 'method', 'contributor', 'transactionId'],
+
+    getSubtle: function() {
+        return typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle
+            ? globalThis.crypto.subtle
+            : null;
+    },
+
+    // Fixed key order, so the same entry always serialises to the same bytes
+    canonical: function(entry) {
+        const fields = {};
+        this.FIELDS.forEach(field => {
+            fields[field] = entry[field] === undefined ? null : entry[field];
+        });
+        fields.prev = entry.prev;
+        return JSON.stringify(fields);
+    },
+
+    // What the maintainer's key signs
+    headMessage: function(head) {
+        return JSON.stringify({ ledger: 'boostbond', version: this.VERSION, count: head.count, hash: head.hash, signedAt: head.signedAt });
+    },
+
+    sha256: function(text) {
+        return this.getSubtle().digest('SHA-256', new TextEncoder().encode(text))
+            .then(digest => Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join(''));
+    },
+
+    hashEntry: function(entry) {
+        return this.sha256(this.canonical(entry));
+    },
+
+    // Chain donations onto existing entries; resolves with the new entry list
+    append: async function(entries, donations) {
+        const chained = entries.slice();
+        for (const donation of donations) {
+            const entry = { prev: chained.length > 0 ? chained[chained.length - 1].hash : this.GENESIS };
+            this.FIELDS.forEach(field => {
+                if (donation[field] !== undefined) entry[field] = donation[field];
+            });
+            entry.hash = await this.hashEntry(entry);
+            chained.push(entry);
+        }
+        return chained;
+    },
+
+    sign: async function(entries, privateKeyJwk) {
+        const head = {
+            count: entries.length,
+            hash: entries.length > 0 ? entries[entries.length - 1].hash : this.GENESIS,
+            signedAt: new Date().toISOString()
+        };
+        const key = await this.getSubtle().importKey('jwk', privateKeyJwk, this.ALGORITHM, false, ['sign']);
+        const signature = await this.getSubtle().sign(this.SIGNATURE, key, new TextEncoder().encode(this.headMessage(head)));
+        return { version: this.VERSION, head: head, signature: this.toBase64(new Uint8Array(signature)), entries: entries };
+    },
+
+    // Resolves with { status, count, entry, reason }. status is one of
+    // 'verified', 'tampered' (entry is the 1-based position of the first bad
+    // entry), 'bad-signature', 'no-key' (chain checked, signature not) or 'invalid'.
+    verify: async function(ledger, publicKeyJwk) {
+        if (!ledger || !Array.isArray(ledger.entries) || !ledger.head || typeof ledger.head.count !== 'number') {
+            return { status: 'invalid', count: 0, entry: null, reason: 'Not a ledger file' };
+        }
+
+        const entries = ledger.entries;
+        const tampered = (index, reason) => ({ status: 'tampered', count: entries.length, entry: index + 1, reason: reason });
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const expectedPrev = i > 0 ? entries[i - 1].hash : this.GENESIS;
+            if (!entry || entry.prev !== expectedPrev) return tampered(i, 'Link to the previous entry is broken');
+            if (await this.hashEntry(entry) !== entry.hash) return tampered(i, 'Entry does not match its hash');
+        }
+
+        // Entries added or removed after signing show up against the signed head
+        const head = ledger.head;
+        if (entries.length !== head.count) {
+            return tampered(Math.min(entries.length, head.count), `The signed head covers ${head.count} entries, the file has ${entries.length}`);
+        }
+        const lastHash = entries.length > 0 ? entries[entries.length - 1].hash : this.GENESIS;
+        if (lastHash !== head.hash) return tampered(Math.max(entries.length - 1, 0), 'Last entry does not match the signed head');
+
+        if (!publicKeyJwk) return { status: 'no-key', count: entries.length, entry: null, reason: 'No public key configured' };
+
+        let valid = false;
+        try {
+            const key = await this.getSubtle().importKey('jwk', publicKeyJwk, this.ALGORITHM, false, ['verify']);
+            valid = await this.getSubtle().verify(this.SIGNATURE, key, this.fromBase64(ledger.signature || ''), new TextEncoder().encode(this.headMessage(head)));
+        } catch (e) {
+            valid = false;
+        }
+        return valid
+            ? { status: 'verified', count: entries.length, entry: null, reason: '' }
+            : { status: 'bad-signature', count: entries.length, entry: null, reason: 'Signature does not match the maintainer key' };
+    },
+
+    toBase64: function(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    },
+
+    fromBase64: function(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ledger;
+}
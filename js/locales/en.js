@@ -0,0 +1,302 @@
+/**
+ * N3twork Donation Site - English message catalog
+ * The fallback for every other locale: a key missing elsewhere is shown in English.
+ * Tool copy and picture alt text are not repeated here; ToolData in js/main.js
+ * and ProfileConfig in js/profile-config.js are their English source.
+ * Values may use {placeholders}; callers escape any user data they pass in.
+ */
+
+'use strict';
+
+window.LocaleCatalogs = window.LocaleCatalogs || {};
+window.LocaleCatalogs.en = {
+    name: 'English',
+    intl: 'en-US',
+    messages: {
+        // Shared controls
+        'common.close': 'Close',
+
+        // Navbar and header
+        'brand.title': 'n3twork Donation & Tip Services',
+        'brand.tagline': 'Supporting Tools & Innovation',
+        'brand.profileTitle': 'Click, swipe or use the arrow keys to change the picture',
+        'brand.profilePause': 'Pause picture rotation',
+        'nav.donate': 'Donate',
+        'nav.tools': 'Tools in Need',
+        'nav.about': 'About',
+        'nav.contact': 'Contact',
+        'nav.settings': 'Display settings',
+        'nav.language': 'Language',
+
+        // Hero
+        'hero.title': 'Support Innovation & Essential Tools',
+        'hero.text': 'Your donations help fund critical tools, software development, and technology services that benefit the community.',
+        'hero.donate': 'Make a Donation',
+        'hero.tools': 'View Tools in Need',
+        'hero.stats.title': 'Click to view detailed statistics',
+        'hero.stats.raised': 'Raised This Month',
+        'hero.stats.tools': 'Tools Supported',
+        'hero.stats.contributors': 'Contributors',
+        'hero.stats.hint': '📊 Click for details',
+
+        // Donation methods
+        'donate.title': 'Choose Your Donation Method',
+        'donate.subtitle': 'Support our mission through various secure donation platforms',
+        'donate.kofi.text': 'Buy us a coffee and support our work directly',
+        'donate.kofi.button': 'Support via Ko-fi',
+        'donate.github.text': 'Sponsor our open-source projects and development',
+        'donate.github.button': 'Sponsor on GitHub',
+        'donate.crypto.title': 'Cryptocurrency',
+        'donate.crypto.text': 'Support with Bitcoin, Ethereum, Binance, Litecoin and other cryptocurrencies',
+        'donate.crypto.button': 'View Crypto Addresses',
+
+        // Tools in Need
+        'tools.title': 'Tools & Services in Need',
+        'tools.subtitle': 'These are the tools and services that need your support',
+        'tools.search': 'Search tools',
+        'tools.searchPlaceholder': 'Search by name, specification or use',
+        'tools.category': 'Category',
+        'tools.urgency': 'Urgency',
+        'tools.sort': 'Sort by',
+        'tools.sort.priority': 'Priority',
+        'tools.sort.goal': 'Goal amount',
+        'tools.sort.remaining': 'Amount remaining',
+        'tools.sort.percent': 'Percent funded',
+        'tools.clear': 'Clear filters',
+        'tools.count': 'Showing {shown} of {total} tools',
+        'tools.empty': 'No tools match your search. Try fewer filters.',
+        'urgency.medium': 'Medium Priority',
+        'urgency.high': 'High Priority',
+        'urgency.critical': 'Critical Priority',
+        'tool.funded': 'Funded',
+        'lifecycle.ordered': '🛒 Ordered',
+        'lifecycle.received': '📦 Received',
+        'lifecycle.in-use': '🛠️ In use',
+        'tool.progress': '{raised} / {goal} raised ({percent}%)',
+        'tool.viewDetails': 'View Details',
+        'tool.donate': 'Donate Now',
+        'tool.detailsTitle': '{name} - Details',
+        'tool.specifications': 'Specifications',
+        'tool.uses': 'Use Cases',
+        'tool.priority': 'Priority',
+        'tool.purchases': 'How the donations were spent',
+        'tool.purchase': '{date}: {amount} at {vendor}',
+        'tool.receipt': 'Receipt from {vendor}',
+
+        // About
+        'about.title': 'About n3twork Donation Services',
+        'about.text': 'I am dedicated to supporting the development and maintenance of essential tools and services that benefit the technology community. Our platform provides a secure and transparent way for supporters to contribute to projects that matter.',
+        'about.secure.title': 'Secure Donations',
+        'about.secure.text': 'All donations are processed through secure, trusted platforms with full encryption and fraud protection.',
+        'about.transparent.title': 'Transparent Usage',
+        'about.transparent.text': 'Track how your donations are being used with regular updates and transparent reporting.',
+        'about.support.title': 'Tool Support',
+        'about.support.text': 'Support a wide range of development tools, services, and community projects.',
+        'about.role': '🕵🏻 Pentester & Programmer',
+        'about.description': 'Passionate about cybersecurity, tool development, and supporting the technology community through innovative solutions.',
+
+        // Contact and footer
+        'contact.title': 'Get in Touch',
+        'contact.subtitle': 'Have questions or suggestions? I\'d love to hear from you.',
+        'contact.email': 'Email',
+        'contact.responseTime': 'Response Time',
+        'contact.responseText': 'You can expect a response within 24 hours.',
+        'contact.follow': 'Follow Us',
+        'footer.title': 'n3twork Donation Services',
+        'footer.text': 'Supporting innovation through community donations.',
+        'footer.quickLinks': 'Quick Links',
+        'footer.tools': 'Tools',
+        'footer.legal': 'Legal',
+        'footer.privacy': 'Privacy Policy',
+        'footer.terms': 'Terms of Service',
+        'footer.security': 'Security',
+        'footer.copyright': '© 2025 n3twork Donation Services. All rights reserved.',
+
+        // Payment options modal
+        'payment.title': 'Support {name}',
+        'payment.kofi.text': 'Quick and easy donation',
+        'payment.github.text': 'Monthly or one-time sponsorship',
+        'payment.crypto.title': 'Cryptocurrency',
+        'payment.crypto.text': 'Bitcoin, Ethereum, and more',
+        'payment.direct.title': 'Contact Direct',
+        'payment.direct.text': 'Click to copy email address',
+        'payment.hint': 'Choose your preferred payment method to support this tool',
+
+        // Crypto modal
+        'crypto.title': 'Cryptocurrency Donations',
+        'crypto.toolNote': 'Payment requests below are labelled for <strong>{name}</strong>.',
+        'crypto.blocked.title': '{name} ({symbol}) unavailable',
+        'crypto.blocked.text': 'This address failed verification ({reason}) and is hidden for your safety.',
+        'crypto.amountLabel': 'Amount in {unit} (optional)',
+        'crypto.amountInvalid': 'Enter a positive amount with at most {decimals} decimal places',
+        'crypto.amountEmpty': 'Leave empty to choose the amount in your wallet',
+        'crypto.copyAddress': 'Copy Address',
+        'crypto.copyLink': 'Copy Payment Link',
+        'crypto.openWallet': 'Open in Wallet',
+        'crypto.qrLabel': '{name} payment QR code',
+        'crypto.uriLabel': 'Support for {name}',
+        'crypto.hint': 'Pick a cryptocurrency, then scan the code with your wallet or copy the address',
+
+        // Stats modal
+        'stats.title': 'Donation Statistics',
+        'stats.current': '📊 Current Stats',
+        'stats.thisMonth': 'This Month:',
+        'stats.total': 'Total Raised:',
+        'stats.received': 'Received As:',
+        'stats.spent': 'Spent:',
+        'stats.balance': 'Balance:',
+        'stats.toolsSupported': 'Tools Supported:',
+        'stats.contributors': 'Contributors:',
+        'stats.recent': '🕐 Recent Donations',
+        'stats.recentItem': '<strong>{amount}</strong> for {tool} via {method} by {contributor}',
+        'stats.empty': 'No donations received yet. When supporters donate, their contributions will appear here.',
+        'stats.monthly': 'Monthly totals, last 12 months',
+        'stats.byMethod': 'By payment method',
+        'stats.byTool': 'By tool',
+        'stats.goals': 'Progress towards each goal',
+        'stats.leaderboard': '🏆 Top Contributors',
+        'stats.leaderboardEmpty': 'No named contributors yet.',
+        'stats.spending': '🧾 Raised vs spent',
+        'stats.spending.tool': 'Tool',
+        'stats.spending.raised': 'Raised',
+        'stats.spending.spent': 'Spent',
+        'stats.spending.balance': 'Balance',
+        'stats.spending.total': 'All tools',
+        'stats.anonymous': 'Plus {count} anonymous donation(s), counted in the totals but never listed.',
+        'stats.showIn': 'Show totals in',
+        'stats.ratesFrom': 'Converted with rates from {date}',
+        'stats.unknownDate': 'an unknown date',
+        'stats.export': '📁 Export',
+        'export.history-csv': 'History (CSV)',
+        'export.history-json': 'History (JSON)',
+        'export.tools-csv': 'Per-tool summary (CSV)',
+        'export.months-csv': 'Per-month summary (CSV)',
+        'export.report': 'Printable report',
+        'export.reportOnly': 'Only the history exports can be imported again from the admin console; the summaries and the report are for reading.',
+        'report.title': 'BoostBond Donation Report',
+        'report.print': 'Print report',
+        'report.heading': 'n3twork Donation Report',
+        'report.meta': 'Generated {date}. Amounts converted to {currency} with rates from {updated}.',
+        'report.totalRaised': 'Total raised',
+        'report.donations': 'Donations',
+        'report.contributors': 'Contributors',
+        'report.toolsSupported': 'Tools supported',
+        'report.progress': 'Funding Progress',
+        'report.tool': 'Tool',
+        'report.raised': 'Raised',
+        'report.goal': 'Goal',
+        'report.funded': 'Funded',
+        'report.monthly': 'Monthly Totals',
+        'report.month': 'Month',
+        'report.total': 'Total ({currency})',
+        'report.empty': 'No donations recorded yet.',
+
+        // Donation ledger badge
+        'ledger.checking': '🔄 Checking the donation ledger…',
+        'ledger.checking.title': 'Verifying the hash chain and the maintainer signature',
+        'ledger.verified': '✅ Ledger verified ({count} entries)',
+        'ledger.verified.title': 'Every donation is chained to the one before it and the ledger is signed by the maintainer',
+        'ledger.verified.partial': '✅ Ledger verified ({count} entries) · {unlisted} donation(s) shown here are unsigned',
+        'ledger.unlisted': '{count} donation(s) shown on this page are not in the signed ledger',
+        'ledger.tampered': '⚠️ Ledger tampered at entry {entry}',
+        'ledger.tampered.title': 'This entry or a later one was changed after the ledger was signed; its donations are not shown',
+        'ledger.bad-signature': '⚠️ Ledger signature invalid',
+        'ledger.bad-signature.title': 'The ledger was not signed with the maintainer key; its donations are not shown',
+        'ledger.no-key': '⚠️ Ledger unsigned ({count} entries)',
+        'ledger.no-key.title': 'The hash chain is intact, but no maintainer key is configured to check the signature, so its donations are not shown',
+        'ledger.unpublished': 'Ledger not published yet',
+        'ledger.unpublished.title': 'No signed donation ledger has been published for this site',
+        'ledger.unavailable': 'Ledger could not be checked',
+        'ledger.unavailable.title': 'The ledger could not be loaded or this browser cannot verify it',
+        'ledger.invalid': '⚠️ Ledger unreadable',
+        'ledger.invalid.title': 'The published ledger file is not in the expected format',
+
+        // Notifications
+        'notify.dismiss': 'Dismiss notification',
+        'notify.welcome': 'Welcome! Click the profile picture to see another one 🎲',
+        'notify.copied': 'Copied to clipboard! ✅',
+        'notify.copyFailed': 'Failed to copy to clipboard',
+        'notify.theme': 'Switched to {theme} mode',
+        'notify.language': 'Language switched to English',
+        'notify.newDonation': '🎉 New {amount} donation received for {tool}! Thank you {contributor}!',
+        'notify.statsReset': 'Stats reset successfully',
+        'notify.notFound': 'Nothing found at that link',
+        'notify.donationRejected': 'Donation rejected: {errors}',
+        'notify.clipboardMismatch': '⚠️ Your clipboard does not contain the address you copied. Something on this device may have changed it - do not paste it into your wallet.',
+        'notify.offline': 'You are offline. The site keeps working, and donations you record are saved on this device and reconciled when you reconnect.',
+        'notify.online': 'Back online',
+        'notify.queuedOffline': 'Saved offline: {count} donation(s) waiting to be reconciled',
+        'notify.reconciled': '{count} donation(s) recorded offline matched the donation feed and were merged',
+        'notify.updateAvailable': 'A new version of this site is available.',
+        'notify.updateReload': 'Reload',
+        'notify.feedBlocked': 'Live donation updates are off: this page\'s security policy does not allow the donation feed at {origin}.',
+        'notify.feedUnavailable': 'Live donation updates are unavailable right now, so totals may be out of date.',
+        'theme.light': 'light',
+        'theme.dark': 'dark',
+        'theme.system': 'system',
+        'theme.high-contrast': 'high contrast',
+
+        // Display settings panel
+        'settings.theme': 'Theme',
+        'settings.theme.system': 'Match system',
+        'settings.theme.light': 'Light',
+        'settings.theme.dark': 'Dark',
+        'settings.theme.high-contrast': 'High contrast',
+        'settings.motion': 'Animations',
+        'settings.motion.system': 'Match system',
+        'settings.motion.reduced': 'Reduced',
+        'settings.motion.full': 'Full',
+
+        // Legal modals
+        'legal.privacy.title': 'Privacy Policy',
+        'legal.privacy.body': `
+            <h4>What We Collect</h4>
+            <p>We collect minimal data: payment info (via Ko-fi/GitHub), your email when you contact us, and basic technical data for security.</p>
+
+            <h4>How We Use It</h4>
+            <p>To process donations, provide support, and keep the site secure. We don't sell your data.</p>
+
+            <h4>Your Rights</h4>
+            <p>You can request access, corrections, or deletion of your data.</p>
+
+            <h4>Contact</h4>
+            <p>Questions? <a href="mailto:networkmandaean@gmail.com"><strong>networkmandaean@gmail.com</strong></a></p>
+        `,
+        'legal.terms.title': 'Terms of Service',
+        'legal.terms.body': `
+            <h4>The Basics</h4>
+            <p>This site helps fund cybersecurity tools. By using it, you agree to these simple terms.</p>
+
+            <h4>Donations</h4>
+            <p>All donations are voluntary and non-refundable. Funds go to the tools described. You handle your own taxes.</p>
+
+            <h4>Rules</h4>
+            <p><strong>Do:</strong> Be honest, use legally<br>
+            <strong>Don't:</strong> Fraud, hack, harass</p>
+
+            <h4>No Warranties</h4>
+            <p>Site provided "as is". We're not liable for issues beyond our control.</p>
+
+            <h4>Questions?</h4>
+            <p><a href="mailto:networkmandaean@gmail.com"><strong>networkmandaean@gmail.com</strong></a></p>
+        `,
+        'legal.security.title': 'Security Information',
+        'legal.security.body': `
+            <h4>🔒 We Keep You Safe</h4>
+            <p>Your data is encrypted (SSL/HTTPS), stored securely, and we collect minimal information.</p>
+
+            <h4>🛡️ Payment Security</h4>
+            <p>Ko-fi, GitHub, and crypto networks handle payments. We never store your card info.</p>
+
+            <h4>📜 Public Ledger</h4>
+            <p>Every donation is published in a ledger where each entry is chained to the SHA-256 hash of the one before it, and the whole ledger is signed by the maintainer. This page checks the chain and the signature each time it loads; the badge under the stats shows the result.</p>
+
+            <h4>🔐 Site Protection</h4>
+            <p>Multi-factor auth, attack prevention, 24/7 monitoring, and regular security updates.</p>
+
+            <h4>📧 Found a Bug?</h4>
+            <p>Report security issues: <a href="mailto:networkmandaean@gmail.com?subject=[SECURITY] Vulnerability Report"><strong>networkmandaean@gmail.com</strong></a></p>
+            <p>We respond within 24 hours.</p>
+        `
+    }
+};
@@ -0,0 +1,467 @@
+/**
+ * N3twork Donation Site - French message catalog
+ * Keys mirror js/locales/en.js. The gallery and tools blocks override the
+ * English copy in ProfileConfig and ToolData; anything left out here falls back
+ * to English.
+ */
+
+'use strict';
+
+window.LocaleCatalogs = window.LocaleCatalogs || {};
+window.LocaleCatalogs.fr = {
+    name: 'Français',
+    intl: 'fr-FR',
+    messages: {
+        // Shared controls
+        'common.close': 'Fermer',
+
+        // Navbar and header
+        'brand.title': 'n3twork - Dons et pourboires',
+        'brand.tagline': 'Au service des outils et de l\'innovation',
+        'brand.profileTitle': 'Cliquez, balayez ou utilisez les flèches pour changer de photo',
+        'brand.profilePause': 'Mettre en pause la rotation des photos',
+        'nav.donate': 'Faire un don',
+        'nav.tools': 'Outils à financer',
+        'nav.about': 'À propos',
+        'nav.contact': 'Contact',
+        'nav.settings': 'Paramètres d\'affichage',
+        'nav.language': 'Langue',
+
+        // Hero
+        'hero.title': 'Soutenez l\'innovation et les outils essentiels',
+        'hero.text': 'Vos dons financent des outils indispensables, du développement logiciel et des services technologiques utiles à toute la communauté.',
+        'hero.donate': 'Faire un don',
+        'hero.tools': 'Voir les outils à financer',
+        'hero.stats.title': 'Cliquez pour voir les statistiques détaillées',
+        'hero.stats.raised': 'Collectés ce mois-ci',
+        'hero.stats.tools': 'Outils soutenus',
+        'hero.stats.contributors': 'Contributeurs',
+        'hero.stats.hint': '📊 Cliquez pour les détails',
+
+        // Donation methods
+        'donate.title': 'Choisissez votre moyen de don',
+        'donate.subtitle': 'Soutenez notre mission via plusieurs plateformes de don sécurisées',
+        'donate.kofi.text': 'Offrez-nous un café et soutenez directement notre travail',
+        'donate.kofi.button': 'Soutenir via Ko-fi',
+        'donate.github.text': 'Parrainez nos projets open source et leur développement',
+        'donate.github.button': 'Parrainer sur GitHub',
+        'donate.crypto.title': 'Cryptomonnaies',
+        'donate.crypto.text': 'Soutenez-nous en Bitcoin, Ethereum, Binance, Litecoin et autres cryptomonnaies',
+        'donate.crypto.button': 'Voir les adresses crypto',
+
+        // Tools in Need
+        'tools.title': 'Outils et services à financer',
+        'tools.subtitle': 'Voici les outils et services qui ont besoin de votre soutien',
+        'tools.search': 'Rechercher un outil',
+        'tools.searchPlaceholder': 'Rechercher par nom, caractéristique ou usage',
+        'tools.category': 'Catégorie',
+        'tools.urgency': 'Urgence',
+        'tools.sort': 'Trier par',
+        'tools.sort.priority': 'Priorité',
+        'tools.sort.goal': 'Objectif',
+        'tools.sort.remaining': 'Montant restant',
+        'tools.sort.percent': 'Pourcentage financé',
+        'tools.clear': 'Effacer les filtres',
+        'tools.count': '{shown} outils affichés sur {total}',
+        'tools.empty': 'Aucun outil ne correspond à votre recherche. Essayez avec moins de filtres.',
+        'urgency.medium': 'Priorité moyenne',
+        'urgency.high': 'Priorité haute',
+        'urgency.critical': 'Priorité critique',
+        'tool.funded': 'Financé',
+        'lifecycle.ordered': '🛒 Commandé',
+        'lifecycle.received': '📦 Reçu',
+        'lifecycle.in-use': '🛠️ En service',
+        'tool.progress': '{raised} / {goal} collectés ({percent} %)',
+        'tool.viewDetails': 'Voir les détails',
+        'tool.donate': 'Faire un don',
+        'tool.detailsTitle': '{name} - Détails',
+        'tool.specifications': 'Caractéristiques',
+        'tool.uses': 'Cas d\'usage',
+        'tool.priority': 'Priorité',
+        'tool.purchases': 'Comment les dons ont été dépensés',
+        'tool.purchase': '{date} : {amount} chez {vendor}',
+        'tool.receipt': 'Reçu de {vendor}',
+
+        // About
+        'about.title': 'À propos de n3twork',
+        'about.text': 'Je me consacre au développement et à la maintenance d\'outils et de services essentiels pour la communauté technologique. Notre plateforme offre aux donateurs un moyen sûr et transparent de contribuer à des projets qui comptent.',
+        'about.secure.title': 'Dons sécurisés',
+        'about.secure.text': 'Tous les dons passent par des plateformes sûres et reconnues, avec chiffrement complet et protection contre la fraude.',
+        'about.transparent.title': 'Utilisation transparente',
+        'about.transparent.text': 'Suivez l\'utilisation de vos dons grâce à des mises à jour régulières et des rapports transparents.',
+        'about.support.title': 'Soutien aux outils',
+        'about.support.text': 'Soutenez un large éventail d\'outils de développement, de services et de projets communautaires.',
+        'about.role': '🕵🏻 Pentester et programmeur',
+        'about.description': 'Passionné de cybersécurité et de développement d\'outils, au service de la communauté technologique grâce à des solutions innovantes.',
+
+        // Contact and footer
+        'contact.title': 'Nous contacter',
+        'contact.subtitle': 'Des questions ou des suggestions ? Je serai ravi de vous lire.',
+        'contact.email': 'E-mail',
+        'contact.responseTime': 'Délai de réponse',
+        'contact.responseText': 'Vous recevrez une réponse sous 24 heures.',
+        'contact.follow': 'Suivez-nous',
+        'footer.title': 'n3twork - Services de dons',
+        'footer.text': 'Soutenir l\'innovation grâce aux dons de la communauté.',
+        'footer.quickLinks': 'Liens rapides',
+        'footer.tools': 'Outils',
+        'footer.legal': 'Mentions légales',
+        'footer.privacy': 'Politique de confidentialité',
+        'footer.terms': 'Conditions d\'utilisation',
+        'footer.security': 'Sécurité',
+        'footer.copyright': '© 2025 n3twork - Services de dons. Tous droits réservés.',
+
+        // Payment options modal
+        'payment.title': 'Soutenir {name}',
+        'payment.kofi.text': 'Un don simple et rapide',
+        'payment.github.text': 'Parrainage mensuel ou ponctuel',
+        'payment.crypto.title': 'Cryptomonnaies',
+        'payment.crypto.text': 'Bitcoin, Ethereum et plus encore',
+        'payment.direct.title': 'Contact direct',
+        'payment.direct.text': 'Cliquez pour copier l\'adresse e-mail',
+        'payment.hint': 'Choisissez votre moyen de paiement pour soutenir cet outil',
+
+        // Crypto modal
+        'crypto.title': 'Dons en cryptomonnaies',
+        'crypto.toolNote': 'Les demandes de paiement ci-dessous sont associées à <strong>{name}</strong>.',
+        'crypto.blocked.title': '{name} ({symbol}) indisponible',
+        'crypto.blocked.text': 'Cette adresse n\'a pas passé la vérification ({reason}) et reste masquée pour votre sécurité.',
+        'crypto.amountLabel': 'Montant en {unit} (facultatif)',
+        'crypto.amountInvalid': 'Saisissez un montant positif avec au plus {decimals} décimales',
+        'crypto.amountEmpty': 'Laissez vide pour choisir le montant dans votre portefeuille',
+        'crypto.copyAddress': 'Copier l\'adresse',
+        'crypto.copyLink': 'Copier le lien de paiement',
+        'crypto.openWallet': 'Ouvrir dans le portefeuille',
+        'crypto.qrLabel': 'QR code de paiement {name}',
+        'crypto.uriLabel': 'Soutien pour {name}',
+        'crypto.hint': 'Choisissez une cryptomonnaie, puis scannez le code avec votre portefeuille ou copiez l\'adresse',
+
+        // Stats modal
+        'stats.title': 'Statistiques des dons',
+        'stats.current': '📊 Chiffres actuels',
+        'stats.thisMonth': 'Ce mois-ci :',
+        'stats.total': 'Total collecté :',
+        'stats.received': 'Reçu en :',
+        'stats.spent': 'Dépensé :',
+        'stats.balance': 'Solde :',
+        'stats.toolsSupported': 'Outils soutenus :',
+        'stats.contributors': 'Contributeurs :',
+        'stats.recent': '🕐 Dons récents',
+        'stats.recentItem': '<strong>{amount}</strong> pour {tool} via {method}, de {contributor}',
+        'stats.empty': 'Aucun don reçu pour l\'instant. Les contributions apparaîtront ici dès les premiers dons.',
+        'stats.monthly': 'Totaux mensuels sur les 12 derniers mois',
+        'stats.byMethod': 'Par moyen de paiement',
+        'stats.byTool': 'Par outil',
+        'stats.goals': 'Progression vers chaque objectif',
+        'stats.leaderboard': '🏆 Meilleurs contributeurs',
+        'stats.leaderboardEmpty': 'Aucun contributeur nommé pour l\'instant.',
+        'stats.spending': '🧾 Collecté et dépensé',
+        'stats.spending.tool': 'Outil',
+        'stats.spending.raised': 'Collecté',
+        'stats.spending.spent': 'Dépensé',
+        'stats.spending.balance': 'Solde',
+        'stats.spending.total': 'Tous les outils',
+        'stats.anonymous': 'Ainsi que {count} don(s) anonyme(s), comptés dans les totaux mais jamais affichés.',
+        'stats.showIn': 'Afficher les totaux en',
+        'stats.ratesFrom': 'Converti avec les taux du {date}',
+        'stats.unknownDate': 'date inconnue',
+        'stats.export': '📁 Exporter',
+        'export.history-csv': 'Historique (CSV)',
+        'export.history-json': 'Historique (JSON)',
+        'export.tools-csv': 'Synthèse par outil (CSV)',
+        'export.months-csv': 'Synthèse par mois (CSV)',
+        'export.report': 'Rapport imprimable',
+        'export.reportOnly': 'Seuls les exports de l\'historique peuvent être réimportés depuis la console d\'administration ; les synthèses et le rapport sont destinés à la lecture.',
+        'report.title': 'Rapport des dons BoostBond',
+        'report.print': 'Imprimer le rapport',
+        'report.heading': 'Rapport des dons n3twork',
+        'report.meta': 'Généré le {date}. Montants convertis en {currency} (taux : {updated}).',
+        'report.totalRaised': 'Total collecté',
+        'report.donations': 'Dons',
+        'report.contributors': 'Contributeurs',
+        'report.toolsSupported': 'Outils soutenus',
+        'report.progress': 'Avancement du financement',
+        'report.tool': 'Outil',
+        'report.raised': 'Collecté',
+        'report.goal': 'Objectif',
+        'report.funded': 'Financé',
+        'report.monthly': 'Totaux mensuels',
+        'report.month': 'Mois',
+        'report.total': 'Total ({currency})',
+        'report.empty': 'Aucun don enregistré pour le moment.',
+
+        // Badge du registre des dons
+        'ledger.checking': '🔄 Vérification du registre des dons…',
+        'ledger.checking.title': 'Vérification de la chaîne de hachage et de la signature du responsable',
+        'ledger.verified': '✅ Registre vérifié ({count} entrées)',
+        'ledger.verified.title': 'Chaque don est chaîné au précédent et le registre est signé par le responsable',
+        'ledger.verified.partial': '✅ Registre vérifié ({count} entrées) · {unlisted} don(s) affiché(s) ici non signé(s)',
+        'ledger.unlisted': '{count} don(s) affiché(s) sur cette page ne figure(nt) pas dans le registre signé',
+        'ledger.tampered': '⚠️ Registre altéré à l\'entrée {entry}',
+        'ledger.tampered.title': 'Cette entrée ou une suivante a été modifiée après la signature ; ses dons ne sont pas affichés',
+        'ledger.bad-signature': '⚠️ Signature du registre invalide',
+        'ledger.bad-signature.title': 'Le registre n\'a pas été signé avec la clé du responsable ; ses dons ne sont pas affichés',
+        'ledger.no-key': '⚠️ Registre non signé ({count} entrées)',
+        'ledger.no-key.title': 'La chaîne de hachage est intacte, mais aucune clé de responsable n\'est configurée pour vérifier la signature ; ses dons ne sont donc pas affichés',
+        'ledger.unpublished': 'Registre pas encore publié',
+        'ledger.unpublished.title': 'Aucun registre de dons signé n\'a été publié pour ce site',
+        'ledger.unavailable': 'Registre impossible à vérifier',
+        'ledger.unavailable.title': 'Le registre n\'a pas pu être chargé ou ce navigateur ne peut pas le vérifier',
+        'ledger.invalid': '⚠️ Registre illisible',
+        'ledger.invalid.title': 'Le fichier du registre publié n\'a pas le format attendu',
+
+        // Notifications
+        'notify.dismiss': 'Fermer la notification',
+        'notify.welcome': 'Bienvenue ! Cliquez sur la photo de profil pour en voir une autre 🎲',
+        'notify.copied': 'Copié dans le presse-papiers ! ✅',
+        'notify.copyFailed': 'Échec de la copie dans le presse-papiers',
+        'notify.theme': 'Mode {theme} activé',
+        'notify.language': 'Langue changée : français',
+        'notify.newDonation': '🎉 Nouveau don de {amount} reçu pour {tool} ! Merci {contributor} !',
+        'notify.statsReset': 'Statistiques réinitialisées',
+        'notify.notFound': 'Rien à afficher pour ce lien',
+        'notify.donationRejected': 'Don refusé : {errors}',
+        'notify.clipboardMismatch': '⚠️ Votre presse-papiers ne contient pas l\'adresse copiée. Un programme de cet appareil l\'a peut-être modifiée : ne la collez pas dans votre portefeuille.',
+        'notify.offline': 'Vous êtes hors ligne. Le site reste utilisable, et les dons que vous enregistrez sont conservés sur cet appareil puis rapprochés à la reconnexion.',
+        'notify.online': 'De nouveau en ligne',
+        'notify.queuedOffline': 'Enregistré hors ligne : {count} don(s) en attente de rapprochement',
+        'notify.reconciled': '{count} don(s) enregistré(s) hors ligne retrouvé(s) dans le flux de dons et fusionné(s)',
+        'notify.updateAvailable': 'Une nouvelle version du site est disponible.',
+        'notify.updateReload': 'Recharger',
+        'notify.feedBlocked': 'Mises à jour des dons en direct désactivées : la politique de sécurité de cette page n\'autorise pas le flux de dons sur {origin}.',
+        'notify.feedUnavailable': 'Les mises à jour des dons en direct sont indisponibles pour le moment ; les totaux peuvent ne pas être à jour.',
+        'theme.light': 'clair',
+        'theme.dark': 'sombre',
+        'theme.system': 'système',
+        'theme.high-contrast': 'contraste élevé',
+
+        // Display settings panel
+        'settings.theme': 'Thème',
+        'settings.theme.system': 'Comme le système',
+        'settings.theme.light': 'Clair',
+        'settings.theme.dark': 'Sombre',
+        'settings.theme.high-contrast': 'Contraste élevé',
+        'settings.motion': 'Animations',
+        'settings.motion.system': 'Comme le système',
+        'settings.motion.reduced': 'Réduites',
+        'settings.motion.full': 'Complètes',
+
+        // Legal modals
+        'legal.privacy.title': 'Politique de confidentialité',
+        'legal.privacy.body': `
+            <h4>Ce que nous collectons</h4>
+            <p>Nous collectons un minimum de données : les informations de paiement (via Ko-fi/GitHub), votre e-mail lorsque vous nous écrivez et quelques données techniques pour la sécurité.</p>
+
+            <h4>Comment nous les utilisons</h4>
+            <p>Pour traiter les dons, vous répondre et sécuriser le site. Nous ne vendons pas vos données.</p>
+
+            <h4>Vos droits</h4>
+            <p>Vous pouvez demander l'accès, la rectification ou la suppression de vos données.</p>
+
+            <h4>Contact</h4>
+            <p>Des questions ? <a href="mailto:networkmandaean@gmail.com"><strong>networkmandaean@gmail.com</strong></a></p>
+        `,
+        'legal.terms.title': 'Conditions d\'utilisation',
+        'legal.terms.body': `
+            <h4>L'essentiel</h4>
+            <p>Ce site aide à financer des outils de cybersécurité. En l'utilisant, vous acceptez ces conditions simples.</p>
+
+            <h4>Dons</h4>
+            <p>Tous les dons sont volontaires et non remboursables. Les fonds servent aux outils décrits. Vos obligations fiscales restent à votre charge.</p>
+
+            <h4>Règles</h4>
+            <p><strong>À faire :</strong> être honnête, respecter la loi<br>
+            <strong>À proscrire :</strong> fraude, piratage, harcèlement</p>
+
+            <h4>Aucune garantie</h4>
+            <p>Le site est fourni « en l'état ». Nous ne sommes pas responsables des problèmes indépendants de notre volonté.</p>
+
+            <h4>Des questions ?</h4>
+            <p><a href="mailto:networkmandaean@gmail.com"><strong>networkmandaean@gmail.com</strong></a></p>
+        `,
+        'legal.security.title': 'Informations de sécurité',
+        'legal.security.body': `
+            <h4>🔒 Votre sécurité avant tout</h4>
+            <p>Vos données sont chiffrées (SSL/HTTPS), stockées de façon sûre, et nous n'en collectons qu'un minimum.</p>
+
+            <h4>🛡️ Sécurité des paiements</h4>
+            <p>Les paiements passent par Ko-fi, GitHub et les réseaux crypto. Nous ne conservons jamais vos données de carte.</p>
+
+            <h4>📜 Registre public</h4>
+            <p>Chaque don est publié dans un registre où chaque entrée est chaînée au hachage SHA-256 de la précédente, et l'ensemble est signé par le responsable. Cette page vérifie la chaîne et la signature à chaque chargement ; le badge sous les statistiques affiche le résultat.</p>
+
+            <h4>🔐 Protection du site</h4>
+            <p>Authentification multifacteur, prévention des attaques, surveillance 24 h/24 et 7 j/7, mises à jour de sécurité régulières.</p>
+
+            <h4>📧 Vous avez trouvé une faille ?</h4>
+            <p>Signalez les problèmes de sécurité : <a href="mailto:networkmandaean@gmail.com?subject=[SECURITY] Vulnerability Report"><strong>networkmandaean@gmail.com</strong></a></p>
+            <p>Nous répondons sous 24 heures.</p>
+        `
+    },
+    gallery: {
+        profile1: 'Obed Prince Kofi Yesu riant, en T-shirt gris à drapeau, devant un mur à motifs noirs et blancs',
+        profile2: 'Obed Prince Kofi Yesu souriant, en T-shirt gris à drapeau',
+        profile3: 'Obed Prince Kofi Yesu en T-shirt bleu faisant le signe de la paix à côté d\'un jeune enfant',
+        profile4: 'Obed Prince Kofi Yesu debout en T-shirt gris et jean devant un mur à motifs'
+    },
+    tools: {
+        ubertooth: {
+            description: 'Plateforme de développement et de recherche Bluetooth Low Energy (BLE) pour les tests de sécurité sans fil.',
+            category: 'Sécurité',
+            specifications: [
+                'Fonctionne dans la bande ISM 2,4 GHz',
+                'Analyse de la bande de base Bluetooth',
+                'Capture de paquets en temps réel',
+                'Firmware open source',
+                'Interface USB 2.0'
+            ],
+            uses: [
+                'Évaluation de la sécurité Bluetooth',
+                'Analyse du protocole BLE',
+                'Capture de paquets Bluetooth',
+                'Tests d\'objets connectés',
+                'Tests d\'intrusion Bluetooth'
+            ],
+            priority: 'Priorité moyenne - Recherche Bluetooth spécialisée'
+        },
+        obdii: {
+            description: 'Outil de diagnostic automobile pour la recherche en sécurité des véhicules et l\'analyse du bus CAN.',
+            category: 'Automobile',
+            specifications: [
+                'Conforme OBD-II/EOBD',
+                'Interface bus CAN',
+                'Surveillance des données en temps réel',
+                'Codes de défaut de diagnostic',
+                'Accès aux paramètres du véhicule'
+            ],
+            uses: [
+                'Recherche en sécurité automobile',
+                'Analyse du bus CAN',
+                'Diagnostic de véhicules',
+                'Tests de communication avec les calculateurs (ECU)',
+                'Sécurité des véhicules connectés'
+            ],
+            priority: 'Priorité moyenne - Axé sur la sécurité automobile'
+        },
+        obdiii: {
+            description: 'Outil de diagnostic automobile pour la recherche en sécurité des véhicules et l\'analyse du bus CAN.',
+            category: 'Automobile',
+            specifications: [
+                'Conforme OBD-II/EOBD',
+                'Interface bus CAN',
+                'Surveillance des données en temps réel',
+                'Codes de défaut de diagnostic',
+                'Accès aux paramètres du véhicule'
+            ],
+            uses: [
+                'Recherche en sécurité automobile',
+                'Analyse du bus CAN',
+                'Diagnostic de véhicules',
+                'Tests de communication avec les calculateurs (ECU)',
+                'Sécurité des véhicules connectés'
+            ],
+            priority: 'Priorité haute - Axé sur la sécurité automobile'
+        },
+        alpha: {
+            description: 'Adaptateur WiFi USB à gain élevé pour les tests d\'intrusion sans fil et la recherche en sécurité.',
+            category: 'Réseaux',
+            specifications: [
+                'Antenne externe à gain élevé',
+                'Prise en charge du mode moniteur',
+                'Injection de paquets',
+                'Large compatibilité',
+                'Interface USB 3.0'
+            ],
+            uses: [
+                'Tests d\'intrusion WiFi',
+                'Audit de réseaux sans fil',
+                'Analyse WiFi longue portée',
+                'Évaluations de sécurité sans fil',
+                'Surveillance réseau'
+            ],
+            priority: 'Priorité haute - Outil central pour les tests sans fil'
+        },
+        rfgen: {
+            description: 'Générateur de signaux RF professionnel pour tester et développer des systèmes de communication sans fil.',
+            category: 'Tests',
+            specifications: [
+                'Large plage de fréquences',
+                'Génération de signaux précise',
+                'Plusieurs types de modulation',
+                'Grande stabilité en fréquence',
+                'Étalonnage professionnel'
+            ],
+            uses: [
+                'Test de circuits RF',
+                'Développement de systèmes sans fil',
+                'Tests d\'intégrité du signal',
+                'Étalonnage d\'équipements RF',
+                'Recherche et développement'
+            ],
+            priority: 'Priorité critique - Indispensable pour la recherche RF avancée'
+        },
+        hackrfpro: {
+            description: 'Plateforme de radio logicielle (SDR) avancée, aux fonctionnalités étendues pour l\'analyse RF professionnelle et la recherche.',
+            category: 'Sécurité pro',
+            specifications: [
+                'Plage de fréquences étendue : 1 MHz à 7,2 GHz',
+                'Émetteur-récepteur full-duplex',
+                'Jusqu\'à 50 millions d\'échantillons par seconde',
+                'Filtrage et traitement du signal améliorés',
+                'Fabrication de qualité professionnelle',
+                'Fonctions de débogage avancées'
+            ],
+            uses: [
+                'Recherche et développement RF professionnels',
+                'Opérations avancées de renseignement d\'origine électromagnétique',
+                'Tests de protocoles sans fil haute performance',
+                'Tests d\'intrusion professionnels',
+                'Analyse de spectre de niveau recherche',
+                'Développement d\'applications RF commerciales'
+            ],
+            priority: 'Priorité critique - Plateforme de recherche RF professionnelle'
+        },
+        rtlsdr: {
+            description: 'Clé de radio logicielle (SDR) abordable, idéale pour débuter en analyse RF et en surveillance de signaux.',
+            category: 'Apprentissage',
+            specifications: [
+                'Plage de fréquences : 500 kHz à 1,75 GHz',
+                'Fréquence d\'échantillonnage maximale : 3,2 Méch/s',
+                'Interface USB 2.0',
+                'Peu coûteuse et adaptée aux débutants',
+                'Large compatibilité logicielle',
+                'Format clé compact'
+            ],
+            uses: [
+                'Apprendre les notions RF et les bases de la SDR',
+                'Expérimentation radioamateur',
+                'Surveillance de spectre de base',
+                'Projets RF pédagogiques',
+                'Analyse de signaux pour débutants',
+                'Exploration des radiofréquences'
+            ],
+            priority: 'Priorité moyenne - Essentielle pour apprendre et enseigner la RF'
+        },
+        pineapple: {
+            description: 'Plateforme professionnelle d\'audit sans fil de Hak5 pour les tests d\'intrusion WiFi avancés et la reconnaissance réseau.',
+            category: 'Professionnel',
+            specifications: [
+                'WiFi double bande (2,4 GHz et 5 GHz)',
+                'Antennes directionnelles à gain élevé',
+                'Interface d\'administration web',
+                'Système de modules (payloads)',
+                'Capacités sans fil longue portée',
+                'Plateforme professionnelle de tests d\'intrusion'
+            ],
+            uses: [
+                'Tests d\'intrusion et audit WiFi',
+                'Détection de points d\'accès pirates',
+                'Attaques de l\'homme du milieu (tests autorisés)',
+                'Reconnaissance de réseaux sans fil',
+                'Opérations red team professionnelles',
+                'Évaluations avancées de sécurité WiFi'
+            ],
+            priority: 'Priorité critique - Plateforme professionnelle d\'audit sans fil'
+        }
+    }
+};
@@ -15,81 +15,145 @@ const SafeStorage = {
             return null;
         }
     },
+    // Returns false when the write is rejected (quota exceeded or storage blocked)
     setItem: function(key, value) {
         try {
             localStorage.setItem(key, value);
+            return true;
         } catch (e) {
             console.warn('localStorage not available:', e);
+            return false;
         }
+    },
+    removeItem: function(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (e) {
+            console.warn('localStorage not available:', e);
+        }
+    }
+};
+
+// Minimal key/value wrapper around IndexedDB, used when localStorage is full or blocked
+const IDBStorage = {
+    DB_NAME: 'boostbond',
+    STORE_NAME: 'kv',
+    dbPromise: null,
+
+    open: function() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB not supported'));
+                    return;
+                }
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later call to retry after a failed open
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    },
+
+    request: function(mode, action) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const store = db.transaction(this.STORE_NAME, mode).objectStore(this.STORE_NAME);
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    },
+
+    getItem: function(key) {
+        return this.request('readonly', store => store.get(key))
+            .then(value => (value === undefined ? null : value))
+            .catch(e => {
+                console.warn('IndexedDB not available:', e);
+                return null;
+            });
+    },
+
+    // Resolves to false instead of rejecting so callers can report the failure
+    setItem: function(key, value) {
+        return this.request('readwrite', store => store.put(value, key))
+            .then(() => true)
+            .catch(e => {
+                console.warn('IndexedDB not available:', e);
+                return false;
+            });
     }
 };
 
 // Simple global state
 const AppState = {
-    initialized: false,
-    theme: SafeStorage.getItem('theme') || 'light',
-    profilePictures: [
-        'images/profile1.jpg',
-        'images/profile2.jpg', 
-        'images/profile3.jpg',
-        'images/profile4.jpg'
-    ],
+    theme: ThemePreference.getSetting('theme'),
+    motion: ThemePreference.getSetting('motion'),
     currentProfileIndex: parseInt(SafeStorage.getItem('currentProfileIndex')) || 0,
     donations: [],
     stats: {
+        currency: 'USD',
         totalRaised: 0,
         monthlyRaised: 0,
         toolsSupported: 0,
-        contributors: 0
+        contributors: 0,
+        byCurrency: {}
     }
 };
 
 // Utility functions
 const Utils = {
-    showNotification: function(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.textContent = message;
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 12px 24px;
-            border-radius: 6px;
-            color: white;
-            z-index: 10000;
-            font-weight: 500;
-            animation: slideIn 0.3s ease-out, slideOut 0.3s ease-in 2.7s;
-            animation-fill-mode: both;
-            background: ${type === 'info' ? '#17a2b8' : type === 'success' ? '#28a745' : '#ffc107'};
-        `;
-        
-        // Add animations
-        if (!document.querySelector('#notification-styles')) {
-            const style = document.createElement('style');
-            style.id = 'notification-styles';
-            style.textContent = `
-                @keyframes slideIn {
-                    from { transform: translateX(100%); }
-                    to { transform: translateX(0); }
-                }
-                @keyframes slideOut {
-                    from { transform: translateX(0); }
-                    to { transform: translateX(100%); }
-                }
-            `;
-            document.head.appendChild(style);
-        }
-        
-        document.body.appendChild(notification);
-        setTimeout(() => notification.remove(), 3000);
+    // type is info, success, warning or error; see NotificationCenter.show for options
+    showNotification: function(message, type = 'info', options = {}) {
+        return NotificationCenter.show(message, Object.assign({}, options, { type: type }));
+    },
+
+    // Format an amount for display, e.g. formatCurrency(133, 'USD') -> "$133".
+    // Fractions are only shown when the amount has them; crypto drops trailing zeros.
+    formatCurrency: function(amount, currency = 'USD') {
+        const decimals = CurrencyConverter.getDecimals(currency);
+        const factor = Math.pow(10, decimals);
+        const isWhole = Number.isInteger(Math.round(amount * factor) / factor);
+
+        return new Intl.NumberFormat(I18n.getIntlLocale(), {
+            style: 'currency',
+            currency: currency,
+            minimumFractionDigits: isWhole || CurrencyConverter.isCrypto(currency) ? 0 : decimals,
+            maximumFractionDigits: isWhole ? 0 : decimals
+        }).format(amount);
+    },
+
+    // Escape a string for interpolation into innerHTML templates
+    escapeHtml: function(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     },
 
-    // Copy to clipboard
+    // Save generated content as a file via a temporary object URL
+    downloadFile: function(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // Copy to clipboard; resolves to whether the copy succeeded
     copyToClipboard: async function(text) {
         try {
             await navigator.clipboard.writeText(text);
-            this.showNotification('Copied to clipboard! ✅', 'success');
+            this.showNotification(I18n.t('notify.copied'), 'success');
+            return true;
         } catch (err) {
             // Fallback for older browsers
             const textArea = document.createElement('textarea');
@@ -99,456 +163,2289 @@ const Utils = {
             document.body.appendChild(textArea);
             textArea.focus();
             textArea.select();
+            let copied = false;
             try {
-                document.execCommand('copy');
-                this.showNotification('Copied to clipboard! ✅', 'success');
+                copied = document.execCommand('copy');
             } catch (fallbackErr) {
-                this.showNotification('Failed to copy to clipboard', 'error');
+                copied = false;
             }
+            this.showNotification(I18n.t(copied ? 'notify.copied' : 'notify.copyFailed'), copied ? 'success' : 'error');
             document.body.removeChild(textArea);
+            return copied;
         }
     }
 };
 
-// Theme management
-const ThemeManager = {
-    init: function() {
-        this.setTheme(AppState.theme);
-        this.bindEvents();
-    },
+// Toast notifications.
+// Toasts stack in one corner container and wait in a queue beyond MAX_VISIBLE.
+// Each message is also written to an aria-live region (assertive for errors) so
+// screen readers announce it; hovering or focusing a toast pauses its timer.
+const NotificationCenter = {
+    TYPES: ['info', 'success', 'warning', 'error'],
+    DURATIONS: { info: 4000, success: 4000, warning: 6000, error: 8000 },
+    MAX_VISIBLE: 4,
+    // Time a message stays in the live region before the next one replaces it
+    ANNOUNCE_INTERVAL: 500,
+    visible: [],
+    queue: [],
+    announcements: [],
+    lastId: 0,
 
-    setTheme: function(theme) {
-        AppState.theme = theme;
-        document.documentElement.setAttribute('data-theme', theme);
-        SafeStorage.setItem('theme', theme);
-        
-        const themeToggle = document.getElementById('themeToggle');
-        if (themeToggle) {
-            themeToggle.textContent = theme === 'dark' ? '☀️' : '🌙';
+    // options: { type, duration (ms), sticky, actions: [{ label, onClick }] }.
+    // Returns { id, dismiss } so callers can close a sticky toast themselves.
+    show: function(message, options = {}) {
+        const type = this.TYPES.includes(options.type) ? options.type : 'info';
+        const toast = {
+            id: ++this.lastId,
+            message: String(message),
+            type: type,
+            duration: options.duration > 0 ? options.duration : this.DURATIONS[type],
+            sticky: Boolean(options.sticky),
+            actions: Array.isArray(options.actions) ? options.actions : [],
+            element: null,
+            timer: null,
+            remaining: 0,
+            startedAt: 0,
+            hovered: false,
+            focused: false
+        };
+
+        if (this.visible.length < this.MAX_VISIBLE) {
+            this.render(toast);
+        } else {
+            this.queue.push(toast);
         }
+        return { id: toast.id, dismiss: () => this.dismiss(toast.id) };
+    },
+
+    render: function(toast) {
+        const element = document.createElement('div');
+        element.className = `notification notification-${toast.type}`;
+        element.innerHTML = `
+            <p class="notification-message"></p>
+            <div class="notification-actions">
+                ${toast.actions.map((action, index) => `
+                    <button type="button" class="notification-action" data-action="notification-action" data-index="${index}">${Utils.escapeHtml(action.label)}</button>
+                `).join('')}
+                <button type="button" class="notification-close" data-action="notification-dismiss" aria-label="${Utils.escapeHtml(I18n.t('notify.dismiss'))}">&times;</button>
+            </div>
+        `;
+        element.querySelector('.notification-message').textContent = toast.message;
+
+        element.addEventListener('mouseenter', () => { toast.hovered = true; this.pause(toast); });
+        element.addEventListener('mouseleave', () => { toast.hovered = false; this.resume(toast); });
+        element.addEventListener('focusin', () => { toast.focused = true; this.pause(toast); });
+        element.addEventListener('focusout', (e) => {
+            if (element.contains(e.relatedTarget)) return;
+            toast.focused = false;
+            this.resume(toast);
+        });
+
+        toast.element = element;
+        toast.remaining = toast.duration;
+        this.visible.push(toast);
+        this.getContainer().appendChild(element);
+        this.announce(toast);
+        this.resume(toast);
+    },
+
+    pause: function(toast) {
+        if (!toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
     },
 
-    toggleTheme: function() {
-        const newTheme = AppState.theme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
-        Utils.showNotification(`Switched to ${newTheme} mode`, 'success');
+    resume: function(toast) {
+        if (toast.sticky || toast.timer || toast.hovered || toast.focused) return;
+        toast.startedAt = Date.now();
+        // Leave at least a second to read a toast after the pointer moves away
+        toast.timer = setTimeout(() => this.dismiss(toast.id), Math.max(toast.remaining, 1000));
     },
 
-    bindEvents: function() {
-        const themeToggle = document.getElementById('themeToggle');
-        if (themeToggle) {
-            themeToggle.addEventListener('click', () => this.toggleTheme());
+    dismiss: function(id) {
+        const queued = this.queue.findIndex(toast => toast.id === id);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
         }
-    }
-};
 
-// Profile picture management
-const ProfileManager = {
-    init: function() {
-        this.updateProfileImages();
-        this.bindEvents();
-        this.addProfileStyles();
+        const index = this.visible.findIndex(toast => toast.id === id);
+        if (index === -1) return;
+
+        const [toast] = this.visible.splice(index, 1);
+        clearTimeout(toast.timer);
+        toast.element.classList.add('leaving');
+        setTimeout(() => toast.element.remove(), 200);
+
+        if (this.queue.length > 0) {
+            this.render(this.queue.shift());
+        }
     },
 
-    shuffleProfile: function() {
-        const currentIndex = AppState.currentProfileIndex;
-        let newIndex;
-        
-        // Ensure we get a different profile picture
-        do {
-            newIndex = Math.floor(Math.random() * AppState.profilePictures.length);
-        } while (newIndex === currentIndex && AppState.profilePictures.length > 1);
-        
-        AppState.currentProfileIndex = newIndex;
-        SafeStorage.setItem('currentProfileIndex', newIndex.toString());
-        
-        this.updateProfileImages();
-        Utils.showNotification('Profile picture shuffled! 🎲', 'info');
+    // Toast a notification-* action button belongs to
+    findToast: function(element) {
+        const container = element.closest('.notification');
+        return this.visible.find(toast => toast.element === container);
     },
 
-    updateProfileImages: function() {
-        const profileImages = document.querySelectorAll('.profile-image, .about-profile-image');
-        const newImageSrc = AppState.profilePictures[AppState.currentProfileIndex];
-        
-        profileImages.forEach(img => {
-            img.style.transition = 'opacity 0.3s ease';
-            img.style.opacity = '0.5';
-            
+    runAction: function(element) {
+        const toast = this.findToast(element);
+        if (!toast) return;
+        const action = toast.actions[Number(element.dataset.index)];
+        if (action && typeof action.onClick === 'function') action.onClick();
+        this.dismiss(toast.id);
+    },
+
+    dismissAll: function() {
+        this.queue = [];
+        this.visible.slice().forEach(toast => this.dismiss(toast.id));
+    },
+
+    getContainer: function() {
+        let container = document.getElementById('notificationCenter');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'notificationCenter';
+            container.className = 'notification-center';
+            document.body.appendChild(container);
+        }
+        return container;
+    },
+
+    // Announced one at a time, so a message raised right after another doesn't
+    // replace it in the live region before screen readers have picked it up
+    announce: function(toast) {
+        this.announcements.push(toast);
+        if (this.announcements.length === 1) this.nextAnnouncement();
+    },
+
+    // Clearing first makes screen readers repeat a message identical to the last one
+    nextAnnouncement: function() {
+        const toast = this.announcements[0];
+        if (!toast) return;
+
+        const region = this.getLiveRegion(toast.type === 'error');
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = toast.message;
             setTimeout(() => {
-                img.src = newImageSrc;
-                img.style.opacity = '1';
-            }, 150);
-        });
+                this.announcements.shift();
+                this.nextAnnouncement();
+            }, this.ANNOUNCE_INTERVAL);
+        }, 100);
     },
 
-    bindEvents: function() {
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('profile-image') || 
-                e.target.classList.contains('about-profile-image')) {
-                e.preventDefault();
-                this.shuffleProfile();
-            }
-        });
-        
-        // Keyboard support
+    getLiveRegion: function(assertive) {
+        const id = assertive ? 'notificationAlert' : 'notificationStatus';
+        let region = document.getElementById(id);
+        if (!region) {
+            region = document.createElement('div');
+            region.id = id;
+            region.className = 'sr-only';
+            region.setAttribute('role', assertive ? 'alert' : 'status');
+            region.setAttribute('aria-live', assertive ? 'assertive' : 'polite');
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+};
+
+// Behaviour for data-action attributes.
+// The markup never carries inline handlers (the CSP in index.html blocks them).
+// An element names what it does instead, e.g. <button data-action="export"
+// data-format="history-csv">, and one document listener calls the handler
+// defined for that name with the element and the event. Handlers are defined
+// next to the App registry at the end of this file. role="button" elements
+// also respond to Enter and Space.
+const Actions = {
+    handlers: {},
+    initialized: false,
+
+    define: function(handlers) {
+        Object.assign(this.handlers, handlers);
+    },
+
+    init: function() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        const signal = this.listeners.signal;
+
+        document.addEventListener('click', (e) => this.dispatch(e), { signal: signal });
         document.addEventListener('keydown', (e) => {
-            if ((e.key === 'Enter' || e.key === ' ') && 
-                (e.target.classList.contains('profile-image') || 
-                 e.target.classList.contains('about-profile-image'))) {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('[data-action][role="button"]')) {
                 e.preventDefault();
-                this.shuffleProfile();
+                this.dispatch(e);
             }
-        });
+        }, { signal: signal });
     },
 
-    addProfileStyles: function() {
-        if (!document.querySelector('#profile-styles')) {
-            const style = document.createElement('style');
-            style.id = 'profile-styles';
-            style.textContent = `
-                .profile-image, .about-profile-image {
-                    cursor: pointer;
-                    transition: transform 0.3s ease, opacity 0.3s ease;
-                    user-select: none;
-                }
-                
-                .profile-image:hover, .about-profile-image:hover {
-                    transform: scale(1.05);
-                }
-                
-                .profile-image:active, .about-profile-image:active {
-                    transform: scale(0.95);
-                }
-                
-                .profile-image:focus, .about-profile-image:focus {
-                    outline: 2px solid #007bff;
-                    outline-offset: 2px;
-                    border-radius: 4px;
-                }
-            `;
-            document.head.appendChild(style);
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    dispatch: function(e) {
+        const element = e.target.closest('[data-action]');
+        if (!element || element.getAttribute('aria-disabled') === 'true') return;
+
+        const handler = this.handlers[element.dataset.action];
+        if (!handler) {
+            console.warn(`No handler for data-action="${element.dataset.action}"`);
+            return;
         }
+        handler(element, e);
     }
 };
 
-// Donation tracking system
-const DonationTracker = {
+// Content-Security-Policy self-check.
+// The policy in index.html allows no inline script, style or handler, so every
+// violation is either a bug or something injected into the page (often a
+// browser extension). Violations are logged and kept in `violations`; check()
+// also audits the policy and the page and runs once at start-up, with the
+// result available from the console through BoostBond.checkCsp().
+const CspMonitor = {
+    violations: [],
+    initialized: false,
+
     init: function() {
-        this.loadDonations();
-        this.updateStats();
-        // Auto-checking disabled - only manual donations will be tracked
-        // setInterval(() => this.checkForNewDonations(), 30000);
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        document.addEventListener('securitypolicyviolation', (e) => this.record(e), { signal: this.listeners.signal });
+
+        this.check().then(result => {
+            result.problems.forEach(problem => console.warn(`CSP self-check: ${problem}`));
+        });
     },
 
-    loadDonations: function() {
-        // Reset donations and stats to 0
-        AppState.donations = [];
-        AppState.stats = {
-            totalRaised: 0,
-            monthlyRaised: 0,
-            toolsSupported: 0,
-            contributors: 0
-        };
-        // Clear any existing data in storage
-        SafeStorage.setItem('donations', '[]');
-        SafeStorage.setItem('stats', JSON.stringify(AppState.stats));
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
     },
 
-    addDonation: function(donation) {
-        const newDonation = {
-            id: Date.now().toString(),
-            amount: parseFloat(donation.amount),
-            tool: donation.tool || 'General',
-            method: donation.method || 'Unknown',
-            contributor: donation.contributor || 'Anonymous',
-            timestamp: new Date().toISOString(),
-            month: new Date().getMonth(),
-            year: new Date().getFullYear()
+    record: function(e) {
+        const violation = {
+            directive: e.effectiveDirective || e.violatedDirective,
+            blocked: e.blockedURI || 'inline',
+            source: e.sourceFile ? `${e.sourceFile}:${e.lineNumber}` : '',
+            sample: e.sample || '',
+            time: new Date().toISOString()
         };
+        this.violations.push(violation);
+        console.error(`CSP blocked ${violation.blocked} (${violation.directive})${violation.source ? ` in ${violation.source}` : ''}`);
+    },
 
-        AppState.donations.push(newDonation);
-        this.saveDonations();
-        this.updateStats();
-        this.showDonationNotification(newDonation);
+    getPolicy: function() {
+        const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+        return meta ? meta.getAttribute('content') : '';
     },
 
-    saveDonations: function() {
-        SafeStorage.setItem('donations', JSON.stringify(AppState.donations));
-        SafeStorage.setItem('stats', JSON.stringify(AppState.stats));
+    // Markup the policy would block. Style attributes are left out: scripts set
+    // element.style legitimately, and only attributes parsed from markup are blocked.
+    findInline: function() {
+        const found = [];
+        document.querySelectorAll('*').forEach(element => {
+            const tag = element.tagName.toLowerCase();
+            Array.from(element.attributes).forEach(attribute => {
+                if (/^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value)) {
+                    found.push(`<${tag} ${attribute.name}>`);
+                }
+            });
+            if ((tag === 'script' && !element.src) || tag === 'style') found.push(`inline <${tag}>`);
+        });
+        return found;
     },
 
-    updateStats: function() {
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        // Calculate this month's donations
-        const thisMonthDonations = AppState.donations.filter(d => 
-            d.month === currentMonth && d.year === currentYear
-        );
-        
-        const monthlyTotal = thisMonthDonations.reduce((sum, d) => sum + d.amount, 0);
-        const totalRaised = AppState.donations.reduce((sum, d) => sum + d.amount, 0);
-        const uniqueContributors = new Set(AppState.donations.map(d => d.contributor)).size;
-        const supportedTools = new Set(AppState.donations.filter(d => d.tool !== 'General').map(d => d.tool)).size;
+    // Resolves with { policy, violations, problems }; problems is empty when all is well
+    check: function() {
+        const policy = this.getPolicy();
+        const problems = [];
 
-        AppState.stats = {
-            totalRaised: totalRaised,
-            monthlyRaised: monthlyTotal,
-            toolsSupported: supportedTools,
-            contributors: uniqueContributors
-        };
+        if (!policy) problems.push('no Content-Security-Policy meta tag');
+        ['unsafe-inline', 'unsafe-eval'].forEach(keyword => {
+            if (policy.includes(`'${keyword}'`)) problems.push(`the policy allows '${keyword}'`);
+        });
+        this.findInline().forEach(item => problems.push(`${item} would be blocked`));
+        this.violations.forEach(violation => problems.push(`blocked ${violation.blocked} (${violation.directive})`));
 
-        this.saveDonations();
-        this.displayStats();
+        const feedUrl = DonationTracker.getFeedUrl();
+        if (feedUrl && !this.allows('connect-src', feedUrl)) {
+            problems.push(`connect-src does not allow the donation feed at ${new URL(feedUrl, window.location.href).origin}`);
+        }
+
+        // The printable report inherits this policy, so its stylesheet needs a hash
+        return this.hash(DonationExporter.REPORT_CSS).then(hash => {
+            if (hash && !policy.includes(`'${hash}'`)) problems.push(`style-src is missing '${hash}' for the printable report`);
+            return { policy: policy, violations: this.violations.slice(), problems: problems };
+        });
     },
 
-    displayStats: function() {
-        const stats = AppState.stats;
-        const statElements = document.querySelectorAll('.stat-number');
-        
-        if (statElements[0]) {
-            statElements[0].textContent = `$${stats.monthlyRaised.toFixed(0)}`;
+    // Whether the policy lets the page load url under directive (falling back to default-src).
+    // Understands 'self', 'none', *, schemes such as https:, and hosts with an optional *. prefix.
+    allows: function(directive, url) {
+        const directives = {};
+        this.getPolicy().split(';').forEach(part => {
+            const [name, ...sources] = part.trim().split(/\s+/);
+            if (name) directives[name.toLowerCase()] = sources;
+        });
+        const sources = directives[directive] || directives['default-src'];
+        if (!sources) return true;
+
+        let target;
+        try {
+            target = new URL(url, window.location.href);
+        } catch (e) {
+            return false;
         }
-        if (statElements[1]) {
-            statElements[1].textContent = stats.toolsSupported;
+        return sources.some(source => {
+            if (source === '*') return /^(https?|wss?):$/.test(target.protocol);
+            if (source === "'self'") return target.origin === window.location.origin;
+            if (/^[a-z][a-z0-9+.-]*:$/i.test(source)) return target.protocol === source.toLowerCase();
+
+            const match = source.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?([^/:]+)(?::(\d+|\*))?/i);
+            if (!match || source.startsWith("'")) return false;
+            const [, scheme, wildcard, host, port] = match;
+            const hostname = host.toLowerCase();
+            const hostMatches = wildcard ? target.hostname.endsWith(`.${hostname}`) : target.hostname === hostname;
+            const schemeMatches = scheme ? target.protocol === `${scheme.toLowerCase()}:` : target.protocol === window.location.protocol || target.protocol === 'https:';
+            const portMatches = port === '*' || (port ? target.port === port : target.port === '');
+            return hostMatches && schemeMatches && portMatches;
+        });
+    },
+
+    // CSP source expression for a script or stylesheet; null where SubtleCrypto is unavailable (plain http)
+    hash: function(text) {
+        if (!window.crypto || !window.crypto.subtle) return Promise.resolve(null);
+        return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+            .then(digest => `sha256-${btoa(String.fromCharCode(...new Uint8Array(digest)))}`)
+            .catch(() => null);
+    }
+};
+
+// Message catalogs and locale-aware formatting.
+// Catalogs register themselves from js/locales/*.js and English fills in any missing
+// key. Static copy in index.html is marked with data-i18n (text), data-i18n-html
+// (catalog markup) and data-i18n-attr="title:key;aria-label:key".
+const I18n = {
+    STORAGE_KEY: 'locale',
+    FALLBACK: 'en',
+    locale: 'en',
+    initialized: false,
+
+    init: function() {
+        this.locale = this.detect();
+        this.apply();
+
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        const select = document.getElementById('languageSelect');
+        if (select) {
+            select.addEventListener('change', (e) => this.setLocale(e.target.value), { signal: this.listeners.signal });
         }
-        if (statElements[2]) {
-            statElements[2].textContent = stats.contributors;
+    },
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    getCatalog: function(locale) {
+        const catalogs = window.LocaleCatalogs || {};
+        return Object.prototype.hasOwnProperty.call(catalogs, locale) ? catalogs[locale] : null;
+    },
+
+    getLocales: function() {
+        return Object.keys(window.LocaleCatalogs || {});
+    },
+
+    // The saved choice wins, then the first of navigator.languages we have a catalog for
+    detect: function() {
+        const saved = SafeStorage.getItem(this.STORAGE_KEY);
+        if (saved && this.getCatalog(saved)) return saved;
+
+        const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        for (const tag of preferred) {
+            const match = this.match(tag);
+            if (match) return match;
         }
+        return this.FALLBACK;
     },
 
-    showDonationNotification: function(donation) {
-        Utils.showNotification(
-            `🎉 New $${donation.amount} donation received for ${donation.tool}! Thank you ${donation.contributor}!`,
-            'success'
-        );
+    // 'fr-CI' -> 'fr' when only the language has a catalog
+    match: function(tag) {
+        if (!tag) return null;
+        const lower = String(tag).toLowerCase();
+        if (this.getCatalog(lower)) return lower;
+        const language = lower.split('-')[0];
+        return this.getCatalog(language) ? language : null;
     },
 
-    checkForNewDonations: function() {
-        // This function is disabled for production
-        // In a real implementation, this would check actual payment processor APIs
-        // (Ko-fi API, GitHub Sponsors webhooks, blockchain monitoring, etc.)
-        // For now, donations are only added manually when actually received
+    t: function(key, params = {}) {
+        const lookup = (locale) => {
+            const catalog = this.getCatalog(locale);
+            return catalog && Object.prototype.hasOwnProperty.call(catalog.messages, key) ? catalog.messages[key] : undefined;
+        };
+        let message = lookup(this.locale);
+        if (message === undefined) message = lookup(this.FALLBACK);
+        if (message === undefined) return key;
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] === undefined ? placeholder : String(params[name]));
     },
 
-    // Admin function to manually add donations
-    manualAddDonation: function(amount, tool, method, contributor) {
-        this.addDonation({
-            amount: amount,
-            tool: tool,
-            method: method,
-            contributor: contributor || 'Anonymous'
-        });
+    // Tool copy comes from the catalog's tools block, falling back to ToolData
+    toolText: function(toolId, field) {
+        const tool = ToolData[toolId];
+        const catalog = this.getCatalog(this.locale);
+        const translated = catalog && catalog.tools && catalog.tools[toolId] && catalog.tools[toolId][field];
+        if (translated) return translated;
+        return tool.details.hasOwnProperty(field) ? tool.details[field] : tool[field];
     },
 
-    // Get donation history
-    getDonationHistory: function() {
-        return AppState.donations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    getIntlLocale: function() {
+        const catalog = this.getCatalog(this.locale);
+        return (catalog && catalog.intl) || this.locale;
     },
 
-    // Reset stats (for testing)
-    resetStats: function() {
-        AppState.donations = [];
-        AppState.stats = { totalRaised: 0, monthlyRaised: 0, toolsSupported: 0, contributors: 0 };
-        this.saveDonations();
-        this.displayStats();
-        Utils.showNotification('Stats reset successfully', 'info');
+    formatNumber: function(value, options) {
+        return new Intl.NumberFormat(this.getIntlLocale(), options).format(value);
+    },
+
+    formatDate: function(value, options = { dateStyle: 'medium' }) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? '' : new Intl.DateTimeFormat(this.getIntlLocale(), options).format(date);
+    },
+
+    setLocale: function(locale) {
+        if (!this.getCatalog(locale) || locale === this.locale) return;
+
+        this.locale = locale;
+        SafeStorage.setItem(this.STORAGE_KEY, locale);
+        this.apply();
+
+        // Template-rendered views pick up the new strings when they re-render
+        DonationTracker.displayStats();
+        ProfileManager.refresh();
+        LedgerVerifier.render();
+        ToolModalManager.refresh();
+        Utils.showNotification(this.t('notify.language'), 'success');
+    },
+
+    apply: function() {
+        document.documentElement.lang = this.locale;
+        this.translate(document);
+        this.renderSwitcher();
+    },
+
+    translate: function(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    },
+
+    renderSwitcher: function() {
+        const select = document.getElementById('languageSelect');
+        if (!select) return;
+        select.innerHTML = this.getLocales()
+            .map(locale => `<option value="${locale}" lang="${locale}">${Utils.escapeHtml(this.getCatalog(locale).name)}</option>`)
+            .join('');
+        select.value = this.locale;
     }
 };
 
-// Navigation (smooth scrolling)
-const NavigationManager = {
+// Theme and motion settings.
+// Each setting is 'system' or an explicit choice. ThemePreference
+// (js/theme-preference.js) resolves it to the data-theme and data-motion
+// attributes on <html>, and has already applied the saved values before first
+// paint; this manager adds the settings panel and follows OS changes live.
+const ThemeManager = {
+    initialized: false,
+
     init: function() {
-        this.setupSmoothScrolling();
-        this.bindMobileMenu();
+        this.apply();
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        this.bindEvents(this.listeners.signal);
+        this.watchSystem(this.listeners.signal);
     },
 
-    setupSmoothScrolling: function() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
-                e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                }
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    apply: function() {
+        ThemePreference.apply(AppState.theme, AppState.motion);
+
+        const panel = document.getElementById('settingsPanel');
+        if (panel) {
+            panel.querySelectorAll('input[type="radio"]').forEach(input => {
+                input.checked = input.value === AppState[input.name];
             });
+        }
+    },
+
+    setTheme: function(theme) {
+        if (!ThemePreference.THEMES.includes(theme)) return;
+        AppState.theme = theme;
+        SafeStorage.setItem('theme', theme);
+        this.apply();
+        Utils.showNotification(I18n.t('notify.theme', { theme: I18n.t(`theme.${theme}`) }), 'success');
+    },
+
+    setMotion: function(motion) {
+        if (!ThemePreference.MOTIONS.includes(motion)) return;
+        AppState.motion = motion;
+        SafeStorage.setItem('motion', motion);
+        this.apply();
+    },
+
+    // For animations started from script, e.g. smooth scrolling
+    prefersReducedMotion: function() {
+        return document.documentElement.getAttribute('data-motion') === 'reduced';
+    },
+
+    // Re-resolve 'system' settings whenever the OS preferences change
+    watchSystem: function(signal) {
+        if (typeof window.matchMedia !== 'function') return;
+        Object.values(ThemePreference.QUERIES).forEach(query => {
+            const list = window.matchMedia(query);
+            const onChange = () => this.apply();
+            // Safari before 14 only supports the deprecated addListener
+            if (list.addEventListener) {
+                list.addEventListener('change', onChange, { signal: signal });
+            } else if (list.addListener) {
+                list.addListener(onChange);
+                signal.addEventListener('abort', () => list.removeListener(onChange));
+            }
         });
     },
 
-    bindMobileMenu: function() {
-        const hamburger = document.getElementById('hamburger');
-        const navbarMenu = document.querySelector('.navbar-menu');
-        
-        if (hamburger && navbarMenu) {
-            hamburger.addEventListener('click', () => {
-                navbarMenu.classList.toggle('show');
-                hamburger.classList.toggle('active');
-            });
+    togglePanel: function(open) {
+        const toggle = document.getElementById('settingsToggle');
+        const panel = document.getElementById('settingsPanel');
+        if (!toggle || !panel) return;
+
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+            const checked = panel.querySelector('input:checked') || panel.querySelector('input');
+            if (checked) checked.focus();
         }
-    }
-};
+    },
 
-// Tool data
-const ToolData = {
-    ubertooth: {
-        name: 'Ubertooth One',
-        description: 'Bluetooth Low Energy (BLE) development and research platform for wireless security testing.',
-        details: {
-            specifications: [
-                '2.4 GHz ISM band operation',
-                'Bluetooth baseband analysis',
-                'Real-time packet capture',
-                'Open source firmware',
-                'USB 2.0 interface'
-            ],
-            uses: [
-                'Bluetooth security assessment',
-                'BLE protocol analysis', 
-                'Bluetooth packet sniffing',
-                'IoT device testing',
-                'Bluetooth penetration testing'
-            ],
-            priority: 'Medium Priority - Specialized Bluetooth research'
+    bindEvents: function(signal) {
+        const toggle = document.getElementById('settingsToggle');
+        const panel = document.getElementById('settingsPanel');
+        if (!toggle || !panel) return;
+
+        panel.addEventListener('change', (e) => {
+            if (e.target.name === 'theme') this.setTheme(e.target.value);
+            if (e.target.name === 'motion') this.setMotion(e.target.value);
+        }, { signal: signal });
+
+        // Close on outside clicks and Escape, like a menu
+        document.addEventListener('click', (e) => {
+            if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) {
+                this.togglePanel(false);
+            }
+        }, { signal: signal });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !panel.hidden) {
+                this.togglePanel(false);
+                toggle.focus();
+            }
+        }, { signal: signal });
+    }
+};
+
+// Profile picture gallery.
+// Pictures, alt text and rotation come from ProfileConfig (js/profile-config.js).
+// A picture is preloaded before it is swapped in, and the likely next one is
+// fetched ahead of time. Pictures that fail to load are skipped from then on;
+// when none are left, ProfileConfig.fallback is shown instead.
+const ProfileManager = {
+    SWIPE_DISTANCE: 40,
+    HISTORY_LIMIT: 20,
+    IMAGE_SELECTOR: '.profile-image, .about-profile-image',
+    initialized: false,
+    failed: new Set(),
+    preloads: {},
+    history: [],
+    pendingIndex: null,
+    nextIndex: null,
+    timer: null,
+    paused: false,
+    touchStart: null,
+
+    init: function() {
+        let index = AppState.currentProfileIndex;
+        if (ProfileConfig.rotation === 'time-of-day') index = this.getTimeOfDayIndex();
+        if (!(index >= 0 && index < ProfileConfig.images.length)) index = 0;
+        this.show(index, false);
+
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        this.bindEvents(this.listeners.signal);
+        this.setupAutoRotate();
+    },
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        clearInterval(this.timer);
+        this.timer = null;
+        this.initialized = false;
+    },
+
+    // Resolves once the browser has the picture, so swapping it in never shows a blank frame
+    preload: function(index) {
+        if (!this.preloads[index]) {
+            this.preloads[index] = new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(index);
+                image.onerror = () => reject(new Error(`Could not load ${ProfileConfig.images[index].src}`));
+                image.src = ProfileConfig.images[index].src;
+            });
         }
+        return this.preloads[index];
     },
-    obdii: {
-        name: 'OBD-II Port Connector',
-        description: 'Automotive diagnostic tool for vehicle security research and CAN bus analysis.',
-        details: {
-            specifications: [
-                'OBD-II/EOBD compliant',
-                'CAN bus interface',
-                'Real-time data monitoring',
-                'Diagnostic trouble codes',
-                'Vehicle parameter access'
-            ],
-            uses: [
-                'Automotive security research',
-                'CAN bus analysis',
-                'Vehicle diagnostics',
-                'ECU communication testing',
-                'Connected car security'
-            ],
-            priority: 'Medium Priority - Automotive security focus'
+
+    show: function(index, animate = true) {
+        this.pendingIndex = index;
+        this.preload(index).then(() => {
+            // A later request won while this one was loading
+            if (this.pendingIndex !== index) return;
+
+            AppState.currentProfileIndex = index;
+            SafeStorage.setItem('currentProfileIndex', index.toString());
+            this.render(ProfileConfig.images[index].src, this.getAlt(index), animate);
+
+            this.nextIndex = this.findIndex(index, 1);
+            if (this.nextIndex !== null) {
+                const next = this.nextIndex;
+                this.preload(next).catch(() => this.failed.add(next));
+            }
+        }).catch(error => {
+            console.warn(error.message);
+            this.failed.add(index);
+            if (this.pendingIndex !== index) return;
+
+            const replacement = this.findIndex(index, 1);
+            if (replacement !== null) {
+                this.show(replacement, animate);
+            } else {
+                this.render(ProfileConfig.fallback.src, ProfileConfig.fallback.alt, false);
+            }
+        });
+    },
+
+    // direction is 1 (next) or -1 (previous)
+    step: function(direction) {
+        const current = AppState.currentProfileIndex;
+        let target;
+        if (direction < 0 && ProfileConfig.rotation === 'random' && this.history.length > 0) {
+            target = this.history.pop();
+        } else if (direction > 0 && this.nextIndex !== null && !this.failed.has(this.nextIndex)) {
+            target = this.nextIndex;
+        } else {
+            target = this.findIndex(current, direction);
+        }
+        if (target === null || target === current) return;
+
+        if (direction > 0) {
+            this.history.push(current);
+            if (this.history.length > this.HISTORY_LIMIT) this.history.shift();
         }
+        this.show(target);
     },
-    obdiii: {
-        name: 'ELM327 OBD2 USB Adapter',
-        description: 'Automotive diagnostic tool for vehicle security research and CAN bus analysis.',
-        details: {
-            specifications: [
-                'OBD-II/EOBD compliant',
-                'CAN bus interface',
-                'Real-time data monitoring',
-                'Diagnostic trouble codes',
-                'Vehicle parameter access'
-            ],
-            uses: [
-                'Automotive security research',
-                'CAN bus analysis',
-                'Vehicle diagnostics',
-                'ECU communication testing',
-                'Connected car security'
-            ],
-            priority: 'High Priority - Automotive security focus'
+
+    // The next usable picture from index, or null when there is none
+    findIndex: function(index, direction) {
+        const count = ProfileConfig.images.length;
+        if (ProfileConfig.rotation === 'random' && direction > 0) {
+            const choices = ProfileConfig.images.map((image, i) => i)
+                .filter(i => i !== index && !this.failed.has(i));
+            return choices.length > 0 ? choices[Math.floor(Math.random() * choices.length)] : null;
+        }
+        for (let offset = 1; offset <= count; offset++) {
+            const candidate = ((index + direction * offset) % count + count) % count;
+            if (!this.failed.has(candidate)) return candidate;
         }
+        return null;
     },
-    alpha: {
-        name: 'WiFi Alpha Adapter',
-        description: 'High-gain USB WiFi adapter for wireless penetration testing and security research.',
-        details: {
-            specifications: [
-                'High-gain external antenna',
-                'Monitor mode support',
-                'Packet injection capability',
-                'Wide compatibility',
-                'USB 3.0 interface'
-            ],
-            uses: [
-                'WiFi penetration testing',
-                'Wireless network auditing',
-                'Long-range WiFi analysis',
-                'Wireless security assessments',
-                'Network monitoring'
-            ],
-            priority: 'High Priority - Core wireless testing tool'
+
+    getTimeOfDayIndex: function(date = new Date()) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return Math.floor(minutes * ProfileConfig.images.length / (24 * 60));
+    },
+
+    // Catalogs may translate alt text through a gallery block keyed by image id
+    getAlt: function(index) {
+        const image = ProfileConfig.images[index];
+        const catalog = I18n.getCatalog(I18n.locale);
+        return (catalog && catalog.gallery && catalog.gallery[image.id]) || image.alt;
+    },
+
+    render: function(src, alt, animate) {
+        document.querySelectorAll(this.IMAGE_SELECTOR).forEach(img => {
+            if (!animate || ThemeManager.prefersReducedMotion()) {
+                img.src = src;
+                img.alt = alt;
+                return;
+            }
+            img.classList.add('fading');
+
+            setTimeout(() => {
+                img.src = src;
+                img.alt = alt;
+                img.classList.remove('fading');
+            }, 150);
+        });
+    },
+
+    // Re-read alt text after a language switch
+    refresh: function() {
+        if (this.failed.has(AppState.currentProfileIndex)) return;
+        const alt = this.getAlt(AppState.currentProfileIndex);
+        document.querySelectorAll(this.IMAGE_SELECTOR).forEach(img => { img.alt = alt; });
+    },
+
+    setupAutoRotate: function() {
+        const pauseButton = document.getElementById('profilePause');
+        if (!(ProfileConfig.autoRotateSeconds > 0)) return;
+
+        if (pauseButton) pauseButton.hidden = false;
+        // Start paused for visitors who asked for less motion
+        this.setPaused(ThemeManager.prefersReducedMotion());
+    },
+
+    setPaused: function(paused) {
+        this.paused = paused;
+        clearInterval(this.timer);
+        this.timer = null;
+        if (!paused) {
+            this.timer = setInterval(() => {
+                if (ProfileConfig.rotation === 'time-of-day') {
+                    const index = this.getTimeOfDayIndex();
+                    if (index !== AppState.currentProfileIndex && !this.failed.has(index)) this.show(index);
+                } else {
+                    this.step(1);
+                }
+            }, ProfileConfig.autoRotateSeconds * 1000);
+        }
+
+        const pauseButton = document.getElementById('profilePause');
+        if (pauseButton) {
+            pauseButton.setAttribute('aria-pressed', String(paused));
+            pauseButton.textContent = paused ? '▶' : '⏸';
         }
     },
-    rfgen: {
-        name: 'RF Signal Generator',
-        description: 'Professional RF signal generator for testing and development of wireless communication systems.',
-        details: {
-            specifications: [
-                'Wide frequency range coverage',
-                'Precise signal generation',
-                'Multiple modulation types',
-                'High frequency stability',
-                'Professional calibration'
-            ],
-            uses: [
-                'RF circuit testing',
-                'Wireless system development',
-                'Signal integrity testing', 
-                'Calibration of RF equipment',
-                'Research and development'
-            ],
-            priority: 'Critical Priority - Essential for advanced RF research'
+
+    bindEvents: function(signal) {
+        const isProfileImage = (target) => target.classList &&
+            (target.classList.contains('profile-image') || target.classList.contains('about-profile-image'));
+
+        // Clicks arrive through the profile-next action; keyboard support
+        document.addEventListener('keydown', (e) => {
+            if (!isProfileImage(e.target)) return;
+            if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.step(1);
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.step(-1);
+            }
+        }, { signal: signal });
+
+        // Swipe left for the next picture, right for the previous one
+        document.addEventListener('touchstart', (e) => {
+            if (!isProfileImage(e.target) || e.touches.length !== 1) return;
+            this.touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        }, { passive: true, signal: signal });
+
+        document.addEventListener('touchend', (e) => {
+            if (!this.touchStart || !isProfileImage(e.target)) return;
+            const dx = e.changedTouches[0].clientX - this.touchStart.x;
+            const dy = e.changedTouches[0].clientY - this.touchStart.y;
+            this.touchStart = null;
+            if (Math.abs(dx) >= this.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                e.preventDefault();
+                this.step(dx < 0 ? 1 : -1);
+            }
+        }, { signal: signal });
+    }
+};
+
+// Currency conversion for donation reporting.
+// Prices come from a pluggable rate table (RatesConfig in js/rates-config.js by
+// default) giving the value of one unit of each currency in the table's base currency.
+const CurrencyConverter = {
+    table: RatesConfig,
+
+    reportingCurrency: SafeStorage.getItem('reportingCurrency') || 'USD',
+
+    init: function() {
+        this.setRates(RatesConfig);
+        // Kept as a promise so a live price feed can be awaited the same way
+        this.ready = Promise.resolve(true);
+    },
+
+    // Swap in a new rate table, e.g. from a live price feed
+    setRates: function(table) {
+        const valid = table && typeof table.base === 'string' && table.currencies &&
+            table.currencies[table.base] &&
+            Object.keys(table.currencies).every(code => table.currencies[code].price > 0);
+
+        if (!valid) {
+            console.warn('Ignoring malformed exchange rate table');
+            return false;
+        }
+
+        this.table = table;
+        if (!this.isSupported(this.reportingCurrency)) {
+            this.reportingCurrency = table.base;
         }
+        return true;
     },
-    hackrfpro: {
-        name: 'HackRF Pro',
-        description: 'Advanced Software Defined Radio platform with enhanced features for professional RF analysis and research applications.',
-        details: {
-            specifications: [
-                'Extended frequency range: 1 MHz to 7.2 GHz',
-                'Full-duplex transceiver capability',
-                'Up to 50 million samples per second',
-                'Enhanced filtering and signal processing',
-                'Professional-grade build quality',
-                'Advanced debugging features'
-            ],
-            uses: [
-                'Professional RF research and development',
-                'Advanced signal intelligence operations',
-                'High-performance wireless protocol testing',
-                'Professional penetration testing',
-                'Research-grade spectrum analysis',
-                'Commercial RF application development'
-            ],
-            priority: 'Critical Priority - Professional-grade RF research platform'
+
+    setReportingCurrency: function(code) {
+        if (!this.isSupported(code)) return false;
+
+        this.reportingCurrency = code;
+        SafeStorage.setItem('reportingCurrency', code);
+        return true;
+    },
+
+    getCurrencies: function() {
+        return Object.keys(this.table.currencies);
+    },
+
+    isSupported: function(code) {
+        return Object.prototype.hasOwnProperty.call(this.table.currencies, code);
+    },
+
+    isCrypto: function(code) {
+        return this.isSupported(code) && !!this.table.currencies[code].crypto;
+    },
+
+    getDecimals: function(code) {
+        return this.isSupported(code) ? this.table.currencies[code].decimals : 2;
+    },
+
+    // Returns null when either currency is missing from the rate table
+    convert: function(amount, from, to = this.reportingCurrency) {
+        if (from === to) return amount;
+        if (!this.isSupported(from) || !this.isSupported(to)) return null;
+
+        return amount * this.table.currencies[from].price / this.table.currencies[to].price;
+    },
+
+    // Sum donations in one currency, skipping any the rate table can't convert
+    sum: function(donations, to = this.reportingCurrency) {
+        return donations.reduce((total, d) => {
+            const converted = this.convert(d.amount, d.currency, to);
+            if (converted === null) {
+                console.warn(`No exchange rate for ${d.currency}; donation ${d.id} left out of totals`);
+                return total;
+            }
+            return total + converted;
+        }, 0);
+    },
+
+    // "0.0015 BTC (≈ $162)", or just "$50" when no conversion is needed
+    formatWithConversion: function(amount, currency, to = this.reportingCurrency) {
+        const original = Utils.formatCurrency(amount, currency);
+        const converted = this.convert(amount, currency, to);
+
+        if (currency === to || converted === null) return original;
+        // Fiat approximations read better without cents
+        const approx = this.isCrypto(to) ? converted : Math.round(converted);
+        return `${original} (≈ ${Utils.formatCurrency(approx, to)})`;
+    }
+};
+
+// Validation and normalization for donation input.
+// validate() never throws: it returns { valid, errors, value }, where each error is
+// { field, code, message } so callers can point at the offending field.
+const DonationValidator = {
+    // Upper limit in the rate table's base currency
+    MAX_AMOUNT: 100000,
+    MAX_CONTRIBUTOR_LENGTH: 60,
+    METHODS: ['Ko-fi', 'GitHub Sponsors', 'Crypto', 'Direct'],
+
+    validate: function(input) {
+        const errors = [];
+        const currency = this.validateCurrency(input.currency, errors);
+        const value = {
+            amount: this.validateAmount(input.amount, currency, errors),
+            currency: currency,
+            tool: this.validateTool(input.tool, errors),
+            method: this.validateMethod(input.method, errors),
+            contributor: this.normalizeContributor(input.contributor)
+        };
+
+        return { valid: errors.length === 0, errors: errors, value: value };
+    },
+
+    validateAmount: function(amount, currency, errors) {
+        // parseFloat would accept "12abc" or "Infinity", so only plain decimals pass. Numbers are
+        // taken as they are: small crypto amounts like 1e-7 BTC stringify in exponent form
+        const text = String(amount === undefined || amount === null ? '' : amount).trim();
+        const parsed = typeof amount === 'number' ? amount : (/^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN);
+
+        if (!isFinite(parsed)) {
+            errors.push({ field: 'amount', code: 'invalid_amount', message: 'Amount must be a number' });
+            return null;
+        }
+
+        // Round to the currency's smallest unit (cents, satoshis, ...)
+        const factor = Math.pow(10, CurrencyConverter.getDecimals(currency || 'USD'));
+        const rounded = Math.round(parsed * factor) / factor;
+        if (rounded <= 0) {
+            errors.push({ field: 'amount', code: 'amount_out_of_range', message: 'Amount must be greater than zero' });
+            return null;
+        }
+
+        // The upper limit is in the rate table's base currency so it means the same for every currency
+        const base = CurrencyConverter.table.base;
+        const inBase = currency ? CurrencyConverter.convert(rounded, currency, base) : rounded;
+        if (inBase > this.MAX_AMOUNT) {
+            errors.push({
+                field: 'amount',
+                code: 'amount_out_of_range',
+                message: `Amount must not exceed ${Utils.formatCurrency(this.MAX_AMOUNT, base)}`
+            });
+            return null;
         }
+
+        return rounded;
     },
-    rtlsdr: {
-        name: 'RTL-SDR',
-        description: 'Affordable Software Defined Radio dongle perfect for learning RF analysis and signal monitoring for beginners.',
-        details: {
-            specifications: [
-                'Frequency range: 500 kHz to 1.75 GHz',
-                'Maximum sample rate: 3.2 MS/s',
-                'USB 2.0 interface',
-                'Low cost and beginner-friendly',
-                'Wide software compatibility',
-                'Compact dongle form factor'
-            ],
-            uses: [
-                'Learning RF concepts and SDR basics',
-                'Amateur radio experimentation',
-                'Basic spectrum monitoring',
-                'Educational RF projects',
-                'Entry-level signal analysis',
-                'Radio frequency exploration'
-            ],
-            priority: 'Medium Priority - Essential for RF learning and education'
+
+    validateCurrency: function(currency, errors) {
+        const code = String(currency || 'USD').trim().toUpperCase();
+        if (!CurrencyConverter.isSupported(code)) {
+            errors.push({
+                field: 'currency',
+                code: 'unsupported_currency',
+                message: `Currency must be one of: ${CurrencyConverter.getCurrencies().join(', ')}`
+            });
+            return null;
         }
+        return code;
     },
-    pineapple: {
-        name: 'WiFi Pineapple',
-        description: 'Professional wireless auditing platform by Hak5 for advanced WiFi penetration testing and network reconnaissance.',
-        details: {
-            specifications: [
+
+    validateTool: function(tool, errors) {
+        const toolId = tool || 'General';
+        if (toolId !== 'General' && !Object.prototype.hasOwnProperty.call(ToolData, toolId)) {
+            errors.push({ field: 'tool', code: 'unknown_tool', message: `Unknown tool "${toolId}"` });
+            return null;
+        }
+        return toolId;
+    },
+
+    validateMethod: function(method, errors) {
+        // Accept any casing, but store the canonical spelling
+        const match = this.METHODS.find(m => m.toLowerCase() === String(method || '').trim().toLowerCase());
+        if (!match) {
+            errors.push({
+                field: 'method',
+                code: 'unsupported_method',
+                message: `Method must be one of: ${this.METHODS.join(', ')}`
+            });
+            return null;
+        }
+        return match;
+    },
+
+    normalizeContributor: function(contributor) {
+        const name = String(contributor || '')
+            .normalize('NFC')
+            // Line breaks and tabs separate words; other control, zero-width and bidi override characters go
+            .replace(/[\t\n\v\f\r\u0085\u2028\u2029]/g, ' ')
+            .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2066-\u2069\ufeff]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, this.MAX_CONTRIBUTOR_LENGTH)
+            .trim();
+
+        return name || 'Anonymous';
+    },
+
+    // One-line summary for notifications and console output
+    describeErrors: function(errors) {
+        return errors.map(error => error.message).join('; ');
+    }
+};
+
+// Versioned persistence for the donation history
+const DonationStore = {
+    KEY: 'donations',
+    SCHEMA_VERSION: 3,
+
+    // Field types every stored donation record must have
+    schema: {
+        id: 'string',
+        amount: 'number',
+        currency: 'string',
+        tool: 'string',
+        method: 'string',
+        contributor: 'string',
+        timestamp: 'string',
+        month: 'number',
+        year: 'number'
+    },
+
+    // migrations[n] upgrades a version n envelope to version n + 1
+    migrations: {
+        // v1 was the bare array written by the original tracker
+        1: function(envelope) {
+            return {
+                version: 2,
+                savedAt: envelope.savedAt,
+                donations: envelope.donations.map(record => {
+                    const date = new Date(record.timestamp);
+                    return Object.assign({}, record, {
+                        id: String(record.id),
+                        amount: parseFloat(record.amount),
+                        month: typeof record.month === 'number' ? record.month : date.getMonth(),
+                        year: typeof record.year === 'number' ? record.year : date.getFullYear()
+                    });
+                })
+            };
+        },
+        // v2 records were all USD
+        2: function(envelope) {
+            return {
+                version: 3,
+                savedAt: envelope.savedAt,
+                donations: envelope.donations.map(record => Object.assign({ currency: 'USD' }, record))
+            };
+        }
+    },
+
+    load: function() {
+        const local = this.parse(SafeStorage.getItem(this.KEY), 'localStorage');
+
+        return IDBStorage.getItem(this.KEY).then(raw => {
+            const indexed = this.parse(raw, 'IndexedDB');
+            // Whichever backend was written last holds the current history
+            const newest = [local, indexed]
+                .filter(Boolean)
+                .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''))[0];
+            return newest ? newest.donations : [];
+        });
+    },
+
+    // Resolves to the backend that accepted the write, or null if none did
+    save: function(donations) {
+        const payload = JSON.stringify({
+            version: this.SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            donations: donations
+        });
+
+        if (SafeStorage.setItem(this.KEY, payload)) {
+            return Promise.resolve('localStorage');
+        }
+
+        return IDBStorage.setItem(this.KEY, payload).then(saved => {
+            if (!saved) {
+                console.error('Donation history could not be saved to any storage backend');
+                return null;
+            }
+            return 'indexedDB';
+        });
+    },
+
+    parse: function(raw, source) {
+        if (!raw) return null;
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (e) {
+            console.warn(`Ignoring unreadable donation history in ${source}:`, e);
+            return null;
+        }
+
+        const envelope = this.migrate(Array.isArray(data) ? { version: 1, savedAt: null, donations: data } : data);
+        if (!envelope) {
+            console.warn(`Ignoring donation history in ${source}: unrecognised format`);
+            return null;
+        }
+
+        const donations = envelope.donations.filter(record => this.isValidRecord(record));
+        if (donations.length !== envelope.donations.length) {
+            console.warn(`Dropped ${envelope.donations.length - donations.length} invalid donation record(s) from ${source}`);
+        }
+
+        return { savedAt: envelope.savedAt, donations: donations };
+    },
+
+    migrate: function(envelope) {
+        if (!envelope || typeof envelope.version !== 'number' || !Array.isArray(envelope.donations)) {
+            return null;
+        }
+        if (envelope.version > this.SCHEMA_VERSION) {
+            console.warn(`Donation history was written by a newer schema (v${envelope.version})`);
+            return envelope;
+        }
+
+        let current = envelope;
+        while (current.version < this.SCHEMA_VERSION) {
+            const migration = this.migrations[current.version];
+            if (!migration) return null;
+            current = migration(current);
+        }
+        return current;
+    },
+
+    isValidRecord: function(record) {
+        return !!record && typeof record === 'object' &&
+            Object.keys(this.schema).every(field => typeof record[field] === this.schema[field]) &&
+            isFinite(record.amount) &&
+            !isNaN(Date.parse(record.timestamp));
+    }
+};
+
+// Donation tracking system
+const DonationTracker = {
+    POLL_INTERVAL: 30000,
+    // Dedupe keys (DonationImporter.dedupeKey) of deleted donations, so the
+    // feed doesn't bring them back on the next poll
+    TOMBSTONE_KEY: 'deletedDonations',
+    tombstones: new Set(),
+
+    init: function() {
+        this.tombstones = this.loadTombstones();
+        // Stats are converted to the reporting currency, so wait for the rate table too
+        this.ready = Promise.all([
+            this.loadDonations().catch(error => console.error('Failed to load donation history:', error)),
+            CurrencyConverter.ready
+        ]).then(() => this.updateStats());
+
+        // Poll the webhook receiver (server/donation-server.js) when the page names one
+        if (this.getFeedUrl() && !this.pollTimer) {
+            this.ready.then(() => this.checkForNewDonations());
+            this.pollTimer = setInterval(() => this.checkForNewDonations(), this.POLL_INTERVAL);
+        }
+    },
+
+    destroy: function() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    },
+
+    // Set with <meta name="donation-feed" content="https://.../api/donations">
+    getFeedUrl: function() {
+        const meta = document.querySelector('meta[name="donation-feed"]');
+        return meta && meta.content.trim() ? meta.content.trim() : null;
+    },
+
+    loadDonations: function() {
+        return DonationStore.load().then(donations => {
+            // Keep anything recorded while the stored history was still loading,
+            // without duplicating records that are already in memory
+            const storedIds = new Set(donations.map(d => d.id));
+            AppState.donations = donations.concat(AppState.donations.filter(d => !storedIds.has(d.id)));
+        });
+    },
+
+    // Returns the validation result; the stored record is on result.donation when valid
+    addDonation: function(donation) {
+        const result = DonationValidator.validate(donation);
+        if (!result.valid) {
+            console.warn('Donation rejected:', result.errors);
+            return result;
+        }
+
+        const now = new Date();
+        const newDonation = Object.assign({
+            id: this.generateId(),
+            timestamp: now.toISOString(),
+            month: now.getMonth(),
+            year: now.getFullYear()
+        }, result.value);
+
+        AppState.donations.push(newDonation);
+        this.saveDonations();
+        this.updateStats();
+        this.showDonationNotification(newDonation);
+        if (OfflineQueue.isOffline()) OfflineQueue.add(newDonation.id);
+
+        result.donation = newDonation;
+        return result;
+    },
+
+    // Add already-validated records from an export file in one save, without per-donation toasts
+    importDonations: function(donations) {
+        const usedIds = new Set(AppState.donations.map(d => d.id));
+        const records = donations.map(donation => {
+            const date = new Date(donation.timestamp);
+            // Re-imported BoostBond exports keep their record IDs when they are free
+            const id = donation.id && !usedIds.has(donation.id) ? donation.id : this.generateId();
+            usedIds.add(id);
+            return Object.assign({}, donation, {
+                id: id,
+                month: date.getMonth(),
+                year: date.getFullYear()
+            });
+        });
+
+        AppState.donations = AppState.donations.concat(records);
+        this.updateStats();
+        return records;
+    },
+
+    // Date.now() alone collides when several records are created in the same millisecond
+    generateId: function() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    saveDonations: function() {
+        return DonationStore.save(AppState.donations);
+    },
+
+    updateStats: function() {
+        const currentMonth = new Date().getMonth();
+        const currentYear = new Date().getFullYear();
+        
+        // Calculate this month's donations
+        const thisMonthDonations = AppState.donations.filter(d => 
+            d.month === currentMonth && d.year === currentYear
+        );
+        
+        const monthlyTotal = CurrencyConverter.sum(thisMonthDonations);
+        const totalRaised = CurrencyConverter.sum(AppState.donations);
+
+        // Totals in the currencies donors actually used, e.g. { BTC: 0.002, EUR: 20 }
+        const byCurrency = {};
+        AppState.donations.forEach(d => {
+            byCurrency[d.currency] = (byCurrency[d.currency] || 0) + d.amount;
+        });
+        const uniqueContributors = new Set(AppState.donations.map(d => d.contributor)).size;
+        const supportedTools = new Set(AppState.donations.filter(d => d.tool !== 'General').map(d => d.tool)).size;
+
+        AppState.stats = {
+            currency: CurrencyConverter.reportingCurrency,
+            totalRaised: totalRaised,
+            monthlyRaised: monthlyTotal,
+            toolsSupported: supportedTools,
+            contributors: uniqueContributors,
+            byCurrency: byCurrency
+        };
+
+        this.saveDonations();
+        this.displayStats();
+    },
+
+    displayStats: function() {
+        const stats = AppState.stats;
+
+        // Tool progress and the dashboard are derived from the same history, so refresh them too
+        ToolGrid.render();
+        StatsDashboard.update();
+        LedgerVerifier.render();
+        const statElements = document.querySelectorAll('.stat-number');
+        
+        if (statElements[0]) {
+            statElements[0].textContent = Utils.formatCurrency(Math.round(stats.monthlyRaised), stats.currency || CurrencyConverter.reportingCurrency);
+        }
+        if (statElements[1]) {
+            statElements[1].textContent = I18n.formatNumber(stats.toolsSupported);
+        }
+        if (statElements[2]) {
+            statElements[2].textContent = I18n.formatNumber(stats.contributors);
+        }
+    },
+
+    showDonationNotification: function(donation) {
+        Utils.showNotification(I18n.t('notify.newDonation', {
+            amount: Utils.formatCurrency(donation.amount, donation.currency),
+            tool: ToolData[donation.tool] ? ToolData[donation.tool].name : donation.tool,
+            contributor: donation.contributor
+        }), 'success');
+    },
+
+    // Merge donations the webhook receiver has recorded since we last asked
+    checkForNewDonations: function() {
+        const feedUrl = this.getFeedUrl();
+        if (!feedUrl || typeof fetch !== 'function') return Promise.resolve([]);
+
+        // The browser would block the request anyway; say so once instead of polling in vain
+        if (!CspMonitor.allows('connect-src', feedUrl)) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            this.reportFeedError(I18n.t('notify.feedBlocked', { origin: new URL(feedUrl, window.location.href).origin }));
+            return Promise.resolve([]);
+        }
+
+        // The whole feed is fetched each time: webhooks can arrive after newer donations,
+        // so a "since" cursor would miss them. Known transactions are skipped below.
+        return fetch(feedUrl, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(feed => {
+                this.feedError = false;
+                const received = feed.donations || [];
+                const valid = received.map(d => DonationImporter.fromRecord(d)).filter(Boolean);
+                if (valid.length !== received.length) {
+                    console.warn(`Dropped ${received.length - valid.length} invalid donation(s) from the feed`);
+                }
+                // Entries an admin made offline give way to the receiver's copy of the same donation
+                const replaced = OfflineQueue.reconcile(valid);
+                const incoming = valid.filter(d => !DonationImporter.isKnown(d) && !this.isDeleted(d));
+                if (incoming.length === 0) return [];
+
+                const records = this.importDonations(incoming);
+                records
+                    .filter(record => !replaced.has(DonationImporter.dedupeKey(record)))
+                    .forEach(record => this.showDonationNotification(record));
+                return records;
+            })
+            .catch(error => {
+                console.warn('Donation feed unavailable:', error);
+                this.reportFeedError(I18n.t('notify.feedUnavailable'));
+                return [];
+            });
+    },
+
+    // Shown once until the feed answers again, not on every poll
+    reportFeedError: function(message) {
+        if (this.feedError) return;
+        this.feedError = true;
+        Utils.showNotification(message, 'error');
+    },
+
+    // Admin function to manually add donations
+    manualAddDonation: function(amount, tool, method, contributor, currency) {
+        return this.addDonation({
+            amount: amount,
+            currency: currency,
+            tool: tool,
+            method: method,
+            contributor: contributor
+        });
+    },
+
+    // Funding progress for one ToolData entry, computed from the recorded donations
+    getToolProgress: function(toolId) {
+        const tool = ToolData[toolId];
+        // Progress is measured in the goal's currency
+        const raised = CurrencyConverter.sum(AppState.donations.filter(d => d.tool === toolId), tool.currency);
+        const percent = tool.goal > 0 ? Math.floor((raised / tool.goal) * 100) : 0;
+
+        return {
+            raised: raised,
+            goal: tool.goal,
+            percent: percent,
+            funded: raised >= tool.goal
+        };
+    },
+
+    // Apply admin corrections to a single record; same result shape as addDonation
+    updateDonation: function(id, changes) {
+        const donation = AppState.donations.find(d => d.id === id);
+        if (!donation) {
+            return { valid: false, errors: [{ field: 'id', code: 'not_found', message: 'Donation not found' }] };
+        }
+
+        const result = DonationValidator.validate(Object.assign({}, donation, changes));
+
+        // A legacy method (e.g. 'Unknown') stays as it is while the edit leaves it unchanged
+        const legacyMethod = !DonationValidator.METHODS.includes(donation.method) &&
+            (changes.method === undefined || changes.method === donation.method);
+        if (legacyMethod) {
+            result.errors = result.errors.filter(error => error.field !== 'method');
+            result.valid = result.errors.length === 0;
+            result.value.method = donation.method;
+        }
+        if (!result.valid) return result;
+
+        Object.assign(donation, result.value);
+        this.updateStats();
+
+        result.donation = donation;
+        return result;
+    },
+
+    deleteDonation: function(id) {
+        const index = AppState.donations.findIndex(d => d.id === id);
+        if (index === -1) return null;
+
+        const removed = AppState.donations.splice(index, 1)[0];
+        this.tombstones.add(DonationImporter.dedupeKey(removed));
+        this.saveTombstones();
+        this.updateStats();
+        return removed;
+    },
+
+    // Replace the whole history, e.g. to undo an admin action
+    restoreDonations: function(donations) {
+        AppState.donations = donations.map(d => Object.assign({}, d));
+        AppState.donations.forEach(d => this.tombstones.delete(DonationImporter.dedupeKey(d)));
+        this.saveTombstones();
+        this.updateStats();
+    },
+
+    isDeleted: function(donation) {
+        return this.tombstones.has(DonationImporter.dedupeKey(donation));
+    },
+
+    loadTombstones: function() {
+        try {
+            const keys = JSON.parse(SafeStorage.getItem(this.TOMBSTONE_KEY) || '[]');
+            return new Set(Array.isArray(keys) ? keys.filter(key => typeof key === 'string') : []);
+        } catch (e) {
+            console.warn('Ignoring unreadable deleted-donation list:', e);
+            return new Set();
+        }
+    },
+
+    saveTombstones: function() {
+        SafeStorage.setItem(this.TOMBSTONE_KEY, JSON.stringify(Array.from(this.tombstones)));
+    },
+
+    // Get donation history
+    getDonationHistory: function() {
+        return AppState.donations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    },
+
+    // Reset stats (for testing)
+    resetStats: function() {
+        AppState.donations = [];
+        AppState.stats = {
+            currency: CurrencyConverter.reportingCurrency,
+            totalRaised: 0,
+            monthlyRaised: 0,
+            toolsSupported: 0,
+            contributors: 0,
+            byCurrency: {}
+        };
+        this.saveDonations();
+        this.displayStats();
+        Utils.showNotification(I18n.t('notify.statsReset'), 'info');
+    }
+};
+
+// Expense ledger: what the raised money was spent on.
+// Published purchases come from data/expenses.json. The admin console records
+// new ones and status changes on this device (under KEY, overriding published
+// entries with the same id) and exports the combined list for publishing.
+// Entries are { id, tool, vendor, amount, currency, date, status, receipt },
+// where receipt is an optional image path under images/receipts/. A tool's
+// lifecycle badge follows its most recent purchase.
+const ExpenseTracker = {
+    URL: 'data/expenses.json',
+    KEY: 'expenses',
+    STATUSES: ['ordered', 'received', 'in-use'],
+    MAX_VENDOR_LENGTH: 80,
+    RECEIPT_PATTERN: /^images\/receipts\/[\w.-]+\.(jpe?g|png|gif|webp)$/i,
+    published: [],
+    local: [],
+    initialized: false,
+
+    init: function() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.local = this.readLocal();
+        this.ready = this.loadPublished().then(() => this.refreshViews());
+    },
+
+    destroy: function() {
+        this.initialized = false;
+    },
+
+    loadPublished: function() {
+        if (typeof fetch !== 'function') return Promise.resolve();
+
+        return fetch(this.URL, { cache: 'no-cache' })
+            .then(response => {
+                if (response.status === 404) return { expenses: [] };
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                this.published = this.parse(data && data.expenses, this.URL);
+            })
+            .catch(error => console.warn('Published expenses unavailable:', error));
+    },
+
+    readLocal: function() {
+        try {
+            const data = JSON.parse(SafeStorage.getItem(this.KEY) || 'null');
+            return this.parse(data && data.expenses, 'localStorage');
+        } catch (e) {
+            console.warn('Ignoring unreadable local expenses:', e);
+            return [];
+        }
+    },
+
+    saveLocal: function() {
+        SafeStorage.setItem(this.KEY, JSON.stringify({ version: 1, expenses: this.local }));
+    },
+
+    // Keeps the entries that validate, with their ids
+    parse: function(expenses, source) {
+        if (!Array.isArray(expenses)) return [];
+
+        const valid = expenses
+            .map(expense => {
+                const result = this.validate(expense || {});
+                return result.valid && typeof expense.id === 'string' ? Object.assign({ id: expense.id }, result.value) : null;
+            })
+            .filter(Boolean);
+        if (valid.length !== expenses.length) {
+            console.warn(`Dropped ${expenses.length - valid.length} invalid expense(s) from ${source}`);
+        }
+        return valid;
+    },
+
+    // Same result shape as DonationValidator.validate
+    validate: function(input) {
+        const errors = [];
+        const currency = DonationValidator.validateCurrency(input.currency, errors);
+        const tool = String(input.tool || '');
+        const vendor = String(input.vendor || '').replace(/\s+/g, ' ').trim().slice(0, this.MAX_VENDOR_LENGTH);
+        const date = String(input.date || '').trim();
+        const receipt = String(input.receipt || '').trim();
+
+        if (!Object.prototype.hasOwnProperty.call(ToolData, tool)) {
+            errors.push({ field: 'tool', code: 'unknown_tool', message: `Unknown tool "${tool}"` });
+        }
+        if (!vendor) {
+            errors.push({ field: 'vendor', code: 'missing_vendor', message: 'Vendor is required' });
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            errors.push({ field: 'date', code: 'invalid_date', message: 'Date must be YYYY-MM-DD' });
+        }
+        if (!this.STATUSES.includes(input.status)) {
+            errors.push({ field: 'status', code: 'invalid_status', message: `Status must be one of: ${this.STATUSES.join(', ')}` });
+        }
+        if (receipt && !this.RECEIPT_PATTERN.test(receipt)) {
+            errors.push({ field: 'receipt', code: 'invalid_receipt', message: 'Receipt must be an image in images/receipts/' });
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            value: {
+                tool: tool,
+                vendor: vendor,
+                amount: DonationValidator.validateAmount(input.amount, currency, errors),
+                currency: currency,
+                date: date,
+                status: input.status,
+                receipt: receipt || null
+            }
+        };
+    },
+
+    // Newest first; a local entry replaces the published one with the same id
+    getAll: function() {
+        const localIds = new Set(this.local.map(expense => expense.id));
+        return this.published
+            .filter(expense => !localIds.has(expense.id))
+            .concat(this.local)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    getForTool: function(toolId) {
+        return this.getAll().filter(expense => expense.tool === toolId);
+    },
+
+    // Status of the tool's most recent purchase, or null before anything is bought
+    getLifecycle: function(toolId) {
+        const latest = this.getForTool(toolId)[0];
+        return latest ? latest.status : null;
+    },
+
+    // Raised, spent and balance in the reporting currency; all tools when toolId is omitted
+    getSummary: function(toolId) {
+        const donations = toolId ? AppState.donations.filter(d => d.tool === toolId) : AppState.donations;
+        const expenses = toolId ? this.getForTool(toolId) : this.getAll();
+        const raised = CurrencyConverter.sum(donations);
+        const spent = CurrencyConverter.sum(expenses);
+        return { raised: raised, spent: spent, balance: raised - spent };
+    },
+
+    add: function(input) {
+        const result = this.validate(input);
+        if (!result.valid) return result;
+
+        result.expense = Object.assign({ id: DonationTracker.generateId() }, result.value);
+        this.local.push(result.expense);
+        this.saveLocal();
+        this.refreshViews();
+        return result;
+    },
+
+    setStatus: function(id, status) {
+        const expense = this.getAll().find(entry => entry.id === id);
+        if (!expense || !this.STATUSES.includes(status)) return;
+
+        this.local = this.local.filter(entry => entry.id !== id).concat(Object.assign({}, expense, { status: status }));
+        this.saveLocal();
+        this.refreshViews();
+    },
+
+    // Deletes a local entry, or reverts a published one to its published status;
+    // published purchases are removed from data/expenses.json itself
+    remove: function(id) {
+        this.local = this.local.filter(entry => entry.id !== id);
+        this.saveLocal();
+        this.refreshViews();
+    },
+
+    // Recorded on this device and not yet published
+    isLocal: function(id) {
+        return this.local.some(entry => entry.id === id) && !this.isPublished(id);
+    },
+
+    // A published entry whose status was changed on this device
+    isOverridden: function(id) {
+        return this.isPublished(id) && this.local.some(entry => entry.id === id);
+    },
+
+    isPublished: function(id) {
+        return this.published.some(entry => entry.id === id);
+    },
+
+    // The file to publish as data/expenses.json
+    export: function() {
+        Utils.downloadFile('expenses.json', JSON.stringify({ version: 1, expenses: this.getAll() }, null, 2), 'application/json');
+    },
+
+    refreshViews: function() {
+        ToolGrid.render();
+        StatsDashboard.update();
+        AdminConsole.refresh();
+    }
+};
+
+// Donations recorded while the browser is offline.
+// They are saved locally like any other entry and their IDs are queued here.
+// Back online, the next donation feed poll reconciles the queue: when the
+// webhook receiver has since recorded the same donation (same method, amount,
+// currency and contributor, close in time, and the same tool unless one side is
+// General), the offline entry is dropped in favour of the receiver's copy so it
+// isn't counted twice. Entries with no match stay as entered and leave the queue
+// once MATCH_WINDOW has passed. Without a feed there is nothing to reconcile
+// against and the queue just clears.
+const OfflineQueue = {
+    KEY: 'offlineQueue',
+    MATCH_WINDOW: 3 * 24 * 60 * 60 * 1000,
+    ids: [],
+    initialized: false,
+
+    init: function() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        const signal = this.listeners.signal;
+
+        try {
+            const stored = JSON.parse(SafeStorage.getItem(this.KEY) || '[]');
+            this.ids = Array.isArray(stored) ? stored.filter(id => typeof id === 'string') : [];
+        } catch (e) {
+            this.ids = [];
+        }
+
+        window.addEventListener('offline', () => Utils.showNotification(I18n.t('notify.offline'), 'warning'), { signal: signal });
+        window.addEventListener('online', () => {
+            Utils.showNotification(I18n.t('notify.online'), 'success');
+            this.flush();
+        }, { signal: signal });
+
+        if (!this.isOffline() && this.ids.length > 0) DonationTracker.ready.then(() => this.flush());
+    },
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    isOffline: function() {
+        return navigator.onLine === false;
+    },
+
+    add: function(id) {
+        this.ids.push(id);
+        this.save();
+        Utils.showNotification(I18n.t('notify.queuedOffline', { count: this.ids.length }), 'info');
+    },
+
+    save: function() {
+        if (this.ids.length > 0) {
+            SafeStorage.setItem(this.KEY, JSON.stringify(this.ids));
+        } else {
+            SafeStorage.removeItem(this.KEY);
+        }
+    },
+
+    // Poll the feed now; the poll calls reconcile() with what it receives
+    flush: function() {
+        if (this.ids.length === 0) return Promise.resolve();
+        if (!DonationTracker.getFeedUrl()) {
+            this.ids = [];
+            this.save();
+            return Promise.resolve();
+        }
+        return DonationTracker.checkForNewDonations();
+    },
+
+    // Takes validated feed records; removes matched offline entries from the history
+    // and returns the dedupe keys of the feed records that replace them
+    reconcile: function(feedDonations) {
+        const replaced = new Set();
+        if (this.ids.length === 0) return replaced;
+
+        const candidates = feedDonations.filter(d => !DonationImporter.isKnown(d));
+        this.ids = this.ids.filter(id => {
+            const index = AppState.donations.findIndex(d => d.id === id);
+            if (index === -1) return false;
+
+            const record = AppState.donations[index];
+            const match = candidates.find(d => !replaced.has(DonationImporter.dedupeKey(d)) && this.matches(record, d));
+            if (match) {
+                AppState.donations.splice(index, 1);
+                replaced.add(DonationImporter.dedupeKey(match));
+                return false;
+            }
+            return Date.now() - Date.parse(record.timestamp) < this.MATCH_WINDOW;
+        });
+        this.save();
+
+        if (replaced.size > 0) {
+            Utils.showNotification(I18n.t('notify.reconciled', { count: replaced.size }), 'success');
+        }
+        return replaced;
+    },
+
+    matches: function(record, donation) {
+        const name = value => String(value).trim().toLowerCase();
+        // The receiver credits a tool only when the payment message names it, so General matches any tool
+        const sameTool = record.tool === donation.tool || record.tool === 'General' || donation.tool === 'General';
+        return sameTool &&
+            record.method === donation.method &&
+            record.currency === donation.currency &&
+            Math.abs(record.amount - donation.amount) < 1e-9 &&
+            name(record.contributor) === name(donation.contributor) &&
+            Math.abs(Date.parse(record.timestamp) - Date.parse(donation.timestamp)) < this.MATCH_WINDOW;
+    }
+};
+
+// Verifies the published donation ledger (js/ledger.js) and shows the result
+// in #ledgerBadge beside the hero stats. A verified ledger's entries are merged
+// into the history like feed donations; a tampered one is reported and ignored.
+// The badge title counts donations shown here that the signed ledger doesn't
+// contain, e.g. ones added from the console.
+const LedgerVerifier = {
+    result: null,
+    initialized: false,
+
+    init: function() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.ready = DonationTracker.ready.then(() => this.load());
+    },
+
+    destroy: function() {
+        this.initialized = false;
+    },
+
+    load: function() {
+        if (!Ledger.getSubtle() || typeof fetch !== 'function') {
+            return Promise.resolve(this.setResult({ status: 'unavailable', reason: 'WebCrypto is not available on this page' }));
+        }
+        this.render();
+
+        return fetch(LedgerConfig.url, { cache: 'no-cache' })
+            .then(response => {
+                if (response.status === 404) return null;
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(ledger => {
+                if (!ledger) return this.setResult({ status: 'unpublished', reason: `${LedgerConfig.url} not found` });
+
+                return Ledger.verify(ledger, LedgerConfig.publicKey).then(result => {
+                    if (result.status === 'verified') this.merge(ledger.entries);
+                    result.ids = new Set(ledger.entries.map(entry => entry.id));
+                    return this.setResult(result);
+                });
+            })
+            .catch(error => this.setResult({ status: 'unavailable', reason: error.message }));
+    },
+
+    setResult: function(result) {
+        this.result = result;
+        if (result.status !== 'verified') console.warn(`Donation ledger ${result.status}${result.entry ? ` at entry ${result.entry}` : ''}: ${result.reason}`);
+        this.render();
+        return result;
+    },
+
+    merge: function(entries) {
+        const records = entries
+            .map(entry => {
+                const date = new Date(entry.timestamp);
+                const record = { month: date.getMonth(), year: date.getFullYear() };
+                Ledger.FIELDS.forEach(field => {
+                    if (entry[field] !== undefined && entry[field] !== null) record[field] = entry[field];
+                });
+                return record;
+            })
+            .filter(record => DonationStore.isValidRecord(record) && !DonationImporter.isKnown(record) && !DonationTracker.isDeleted(record));
+        if (records.length > 0) DonationTracker.importDonations(records);
+    },
+
+    // Re-run on language changes through I18n.setLocale
+    render: function() {
+        const badge = document.getElementById('ledgerBadge');
+        if (!badge || !this.initialized) return;
+
+        const result = this.result || { status: 'checking' };
+        const count = I18n.formatNumber(result.count || 0);
+        badge.hidden = false;
+        badge.dataset.state = result.status;
+        badge.textContent = I18n.t(`ledger.${result.status}`, { count: count, entry: result.entry });
+
+        // The hero stats also count local and console donations, so say how many aren't signed
+        const unlisted = result.status === 'verified'
+            ? AppState.donations.filter(d => !result.ids.has(d.id)).length
+            : 0;
+        if (unlisted > 0) {
+            badge.textContent = I18n.t('ledger.verified.partial', { count: count, unlisted: I18n.formatNumber(unlisted) });
+        }
+        badge.title = unlisted > 0 ? I18n.t('ledger.unlisted', { count: unlisted }) : I18n.t(`ledger.${result.status}.title`);
+    }
+};
+
+// Service worker registration (sw.js) and the "update available" prompt.
+// A new deploy installs a new worker that waits until the visitor accepts the
+// prompt; it then takes over and the page reloads into the new version.
+// Service workers need http(s), so file:// visits simply run without one.
+const ServiceWorkerManager = {
+    SCRIPT_URL: 'sw.js',
+    registration: null,
+    updating: false,
+    initialized: false,
+
+    init: function() {
+        if (this.initialized || !('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) window.location.reload();
+        }, { signal: this.listeners.signal });
+
+        navigator.serviceWorker.register(this.SCRIPT_URL)
+            .then(registration => {
+                this.registration = registration;
+                // A worker from an earlier visit may already be waiting
+                if (registration.waiting && navigator.serviceWorker.controller) this.promptUpdate(registration.waiting);
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    if (!worker) return;
+                    worker.addEventListener('statechange', () => {
+                        // The first install has no controller and nothing to update
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) this.promptUpdate(worker);
+                    });
+                });
+            })
+            .catch(error => console.warn('Service worker registration failed:', error));
+    },
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    promptUpdate: function(worker) {
+        Utils.showNotification(I18n.t('notify.updateAvailable'), 'info', {
+            sticky: true,
+            actions: [{ label: I18n.t('notify.updateReload'), onClick: () => this.applyUpdate(worker) }]
+        });
+    },
+
+    applyUpdate: function(worker) {
+        this.updating = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+};
+
+// Navigation (smooth scrolling)
+const NavigationManager = {
+    initialized: false,
+
+    init: function() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        this.setupSmoothScrolling(this.listeners.signal);
+    },
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    // Section anchors only; #/ links are left to the Router
+    setupSmoothScrolling: function(signal) {
+        document.querySelectorAll('a[href^="#"]:not([href^="#/"])').forEach(anchor => {
+            anchor.addEventListener('click', function (e) {
+                const href = this.getAttribute('href');
+                const target = href.length > 1 ? document.getElementById(href.slice(1)) : null;
+                if (target) {
+                    e.preventDefault();
+                    history.pushState(null, '', href);
+                    target.scrollIntoView({
+                        behavior: ThemeManager.prefersReducedMotion() ? 'auto' : 'smooth',
+                        block: 'start'
+                    });
+                }
+            }, { signal: signal });
+        });
+    },
+
+    toggleMobileMenu: function() {
+        const hamburger = document.getElementById('hamburger');
+        const navbarMenu = document.querySelector('.navbar-menu');
+        
+        if (hamburger && navbarMenu) {
+            navbarMenu.classList.toggle('show');
+            hamburger.classList.toggle('active');
+        }
+    }
+};
+
+// Hash routes that deep-link into modals, e.g. #/tools/hackrfpro/donate.
+// Plain section anchors (#donate, #tools) are not routes and keep smooth scrolling.
+// Each open routed modal is tracked so back/forward can close or reopen it, and
+// closing one from the UI restores the URL it was opened from.
+const Router = {
+    initialized: false,
+    opened: [], // [{ hash, modalId, pushed, closedByRouter }]
+    routes: [
+        { pattern: /^\/tools\/([\w-]+)$/, open: toolId => BoostBond.showToolDetails(toolId) },
+        { pattern: /^\/tools\/([\w-]+)\/donate$/, open: toolId => BoostBond.showPaymentOptions(toolId) },
+        { pattern: /^\/tools\/([\w-]+)\/crypto$/, open: toolId => BoostBond.showCryptoModal(toolId) },
+        { pattern: /^\/crypto$/, open: () => BoostBond.showCryptoModal() },
+        { pattern: /^\/stats$/, open: () => BoostBond.viewStats() },
+        { pattern: /^\/legal\/privacy$/, open: () => BoostBond.showPrivacyModal() },
+        { pattern: /^\/legal\/terms$/, open: () => BoostBond.showTermsModal() },
+        { pattern: /^\/legal\/security$/, open: () => BoostBond.showSecurityModal() }
+    ],
+
+    init: function() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+
+        window.addEventListener('hashchange', () => this.sync(true), { signal: this.listeners.signal });
+        // A deep link such as #/stats needs the stored history loaded first
+        DonationTracker.ready.then(() => {
+            if (this.initialized) this.sync(false);
+        });
+    },
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.opened = [];
+        this.initialized = false;
+    },
+
+    navigate: function(path) {
+        window.location.hash = `#${path}`;
+    },
+
+    isRoute: function(hash) {
+        return hash.startsWith('#/');
+    },
+
+    match: function(hash) {
+        const path = hash.slice(1);
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (match) return { route: route, params: match.slice(1) };
+        }
+        return null;
+    },
+
+    // Bring the open modals in line with the current hash
+    sync: function(pushed) {
+        const hash = window.location.hash;
+        const index = this.opened.findIndex(entry => entry.hash === hash);
+
+        if (index !== -1) {
+            // Back/forward to a route that is still open: close everything above it
+            this.closeAbove(index);
+            return;
+        }
+        if (!this.isRoute(hash)) {
+            this.closeAbove(-1);
+            return;
+        }
+
+        const found = this.match(hash);
+        const closed = found ? found.route.open(...found.params) : null;
+        const top = ToolModalManager.getTop();
+        if (!closed || !top) {
+            Utils.showNotification(I18n.t('notify.notFound'), 'error');
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            return;
+        }
+
+        const entry = { hash: hash, modalId: top.modal.id, pushed: pushed, closedByRouter: false };
+        this.opened.push(entry);
+        closed.then(() => this.handleClosed(entry));
+    },
+
+    // index -1 closes every routed modal; routed modals opened later sit above
+    closeAbove: function(index) {
+        this.opened.slice(index + 1).reverse().forEach(entry => {
+            entry.closedByRouter = true;
+            ToolModalManager.hideModal(entry.modalId);
+        });
+    },
+
+    handleClosed: function(entry) {
+        this.opened = this.opened.filter(other => other !== entry);
+        if (entry.closedByRouter || window.location.hash !== entry.hash) return;
+
+        if (entry.pushed) {
+            history.back();
+        } else {
+            // Landed straight on the deep link: there is no in-app page to go back to
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+};
+
+// Tool data
+const ToolData = {
+    ubertooth: {
+        name: 'Ubertooth One',
+        description: 'Bluetooth Low Energy (BLE) development and research platform for wireless security testing.',
+        image: 'images/tools/ubertoothone.jpg',
+        imageAlt: 'Ubertooth One',
+        category: 'Security',
+        urgency: 'medium',
+        goal: 133,
+        currency: 'USD',
+        details: {
+            specifications: [
+                '2.4 GHz ISM band operation',
+                'Bluetooth baseband analysis',
+                'Real-time packet capture',
+                'Open source firmware',
+                'USB 2.0 interface'
+            ],
+            uses: [
+                'Bluetooth security assessment',
+                'BLE protocol analysis', 
+                'Bluetooth packet sniffing',
+                'IoT device testing',
+                'Bluetooth penetration testing'
+            ],
+            priority: 'Medium Priority - Specialized Bluetooth research'
+        }
+    },
+    obdii: {
+        name: 'OBD-II Port Connector',
+        description: 'Automotive diagnostic tool for vehicle security research and CAN bus analysis.',
+        image: 'images/tools/OBD-II.jpg',
+        imageAlt: 'OBD-II Scanner',
+        category: 'Automotive',
+        urgency: 'medium',
+        goal: 20,
+        currency: 'USD',
+        details: {
+            specifications: [
+                'OBD-II/EOBD compliant',
+                'CAN bus interface',
+                'Real-time data monitoring',
+                'Diagnostic trouble codes',
+                'Vehicle parameter access'
+            ],
+            uses: [
+                'Automotive security research',
+                'CAN bus analysis',
+                'Vehicle diagnostics',
+                'ECU communication testing',
+                'Connected car security'
+            ],
+            priority: 'Medium Priority - Automotive security focus'
+        }
+    },
+    obdiii: {
+        name: 'ELM327 OBD2 USB Adapter',
+        description: 'Automotive diagnostic tool for vehicle security research and CAN bus analysis.',
+        image: 'images/tools/WiredOBD-II.jpg',
+        imageAlt: 'OBD-II Scanner',
+        category: 'Automotive',
+        urgency: 'high',
+        goal: 25,
+        currency: 'USD',
+        details: {
+            specifications: [
+                'OBD-II/EOBD compliant',
+                'CAN bus interface',
+                'Real-time data monitoring',
+                'Diagnostic trouble codes',
+                'Vehicle parameter access'
+            ],
+            uses: [
+                'Automotive security research',
+                'CAN bus analysis',
+                'Vehicle diagnostics',
+                'ECU communication testing',
+                'Connected car security'
+            ],
+            priority: 'High Priority - Automotive security focus'
+        }
+    },
+    alpha: {
+        name: 'WiFi Alpha Adapter',
+        description: 'High-gain USB WiFi adapter for wireless penetration testing and security research.',
+        image: 'images/tools/alpha.jpg',
+        imageAlt: 'WiFi Alpha Adapter',
+        category: 'Networking',
+        urgency: 'high',
+        goal: 60,
+        currency: 'USD',
+        details: {
+            specifications: [
+                'High-gain external antenna',
+                'Monitor mode support',
+                'Packet injection capability',
+                'Wide compatibility',
+                'USB 3.0 interface'
+            ],
+            uses: [
+                'WiFi penetration testing',
+                'Wireless network auditing',
+                'Long-range WiFi analysis',
+                'Wireless security assessments',
+                'Network monitoring'
+            ],
+            priority: 'High Priority - Core wireless testing tool'
+        }
+    },
+    rfgen: {
+        name: 'RF Signal Generator',
+        description: 'Professional RF signal generator for testing and development of wireless communication systems.',
+        image: 'images/tools/rf-generators.jpg',
+        imageAlt: 'RF Signal Generator',
+        category: 'Testing',
+        urgency: 'critical',
+        goal: 40,
+        currency: 'USD',
+        details: {
+            specifications: [
+                'Wide frequency range coverage',
+                'Precise signal generation',
+                'Multiple modulation types',
+                'High frequency stability',
+                'Professional calibration'
+            ],
+            uses: [
+                'RF circuit testing',
+                'Wireless system development',
+                'Signal integrity testing', 
+                'Calibration of RF equipment',
+                'Research and development'
+            ],
+            priority: 'Critical Priority - Essential for advanced RF research'
+        }
+    },
+    hackrfpro: {
+        name: 'HackRF Pro',
+        description: 'Advanced Software Defined Radio platform with enhanced features for professional RF analysis and research applications.',
+        image: 'images/tools/hackrf-pro-preliminary-photo.jpg',
+        imageAlt: 'HackRF Pro',
+        category: 'Security Pro',
+        urgency: 'critical',
+        goal: 400,
+        currency: 'USD',
+        details: {
+            specifications: [
+                'Extended frequency range: 1 MHz to 7.2 GHz',
+                'Full-duplex transceiver capability',
+                'Up to 50 million samples per second',
+                'Enhanced filtering and signal processing',
+                'Professional-grade build quality',
+                'Advanced debugging features'
+            ],
+            uses: [
+                'Professional RF research and development',
+                'Advanced signal intelligence operations',
+                'High-performance wireless protocol testing',
+                'Professional penetration testing',
+                'Research-grade spectrum analysis',
+                'Commercial RF application development'
+            ],
+            priority: 'Critical Priority - Professional-grade RF research platform'
+        }
+    },
+    rtlsdr: {
+        name: 'RTL-SDR',
+        description: 'Affordable Software Defined Radio dongle perfect for learning RF analysis and signal monitoring for beginners.',
+        image: 'images/tools/rtl-sdr.jpg',
+        imageAlt: 'RTL-SDR',
+        category: 'Learning',
+        urgency: 'medium',
+        goal: 40,
+        currency: 'USD',
+        details: {
+            specifications: [
+                'Frequency range: 500 kHz to 1.75 GHz',
+                'Maximum sample rate: 3.2 MS/s',
+                'USB 2.0 interface',
+                'Low cost and beginner-friendly',
+                'Wide software compatibility',
+                'Compact dongle form factor'
+            ],
+            uses: [
+                'Learning RF concepts and SDR basics',
+                'Amateur radio experimentation',
+                'Basic spectrum monitoring',
+                'Educational RF projects',
+                'Entry-level signal analysis',
+                'Radio frequency exploration'
+            ],
+            priority: 'Medium Priority - Essential for RF learning and education'
+        }
+    },
+    pineapple: {
+        name: 'WiFi Pineapple',
+        description: 'Professional wireless auditing platform by Hak5 for advanced WiFi penetration testing and network reconnaissance.',
+        image: 'images/tools/WiFiPineapple-Hak5.png',
+        imageAlt: 'WiFi Pineapple',
+        category: 'Professional',
+        urgency: 'critical',
+        goal: 260,
+        currency: 'USD',
+        details: {
+            specifications: [
                 'Dual-band WiFi (2.4GHz & 5GHz)',
                 'High-gain directional antennas',
                 'Web-based management interface',
@@ -569,333 +2466,2296 @@ const ToolData = {
     }
 };
 
-// Modal management for tools
-const ToolModalManager = {
-    showToolDetails: function(toolId) {
-        const tool = ToolData[toolId];
-        if (!tool) return;
-        
-        const modal = this.createModal(`toolDetails-${toolId}`, `${tool.name} - Details`, `
-            <div class="tool-details">
-                <p>${tool.description}</p>
-                
-                <h4>Specifications</h4>
-                <ul>
-                    ${tool.details.specifications.map(spec => `<li>${spec}</li>`).join('')}
-                </ul>
-                
-                <h4>Use Cases</h4>
-                <ul>
-                    ${tool.details.uses.map(use => `<li>${use}</li>`).join('')}
-                </ul>
-                
-                <h4>Priority</h4>
-                <p><strong>${tool.details.priority}</strong></p>
-            </div>
-        `);
-        
-        this.showModal(modal);
+// Tools in Need grid, rendered from ToolData and narrowed by the search/filter toolbar
+const ToolGrid = {
+    // Most urgent first; funded tools always sort after unfunded ones
+    urgencyRank: {
+        critical: 0,
+        high: 1,
+        medium: 2
+    },
+
+    SORTS: ['priority', 'goal', 'remaining', 'percent'],
+    initialized: false,
+    filtersLocale: null,
+
+    // Mirrored in the query string (?q=&category=&urgency=&sort=) so filtered views can be shared
+    filters: {
+        query: '',
+        categories: [],
+        urgencies: [],
+        sort: 'priority'
+    },
+
+    init: function() {
+        this.readUrl();
+        this.render();
+
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        this.bindToolbar(this.listeners.signal);
+    },
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    render: function() {
+        const grid = document.getElementById('toolsGrid');
+        if (!grid) return;
+
+        this.renderFilters();
+        const toolIds = this.getOrderedToolIds().filter(toolId => this.matches(toolId));
+        grid.innerHTML = toolIds.length > 0
+            ? toolIds.map(toolId => this.renderCard(toolId)).join('')
+            : `<p class="tools-empty">${I18n.t('tools.empty')}</p>`;
+        // Widths go through CSSOM; the CSP blocks style attributes in markup
+        grid.querySelectorAll('.progress-fill').forEach(fill => {
+            fill.style.width = `${fill.dataset.percent}%`;
+        });
+
+        const count = document.getElementById('toolsCount');
+        if (count) {
+            count.textContent = I18n.t('tools.count', { shown: toolIds.length, total: Object.keys(ToolData).length });
+        }
+    },
+
+    getOrderedToolIds: function() {
+        const toolIds = Object.keys(ToolData);
+        const progress = {};
+        toolIds.forEach(toolId => { progress[toolId] = DonationTracker.getToolProgress(toolId); });
+
+        const rank = toolId => progress[toolId].funded
+            ? Object.keys(this.urgencyRank).length
+            : this.urgencyRank[ToolData[toolId].urgency];
+        // Goals are in each tool's own currency; compare them in the reporting currency
+        const inReporting = (toolId, amount) => {
+            const converted = CurrencyConverter.convert(amount, ToolData[toolId].currency);
+            return converted === null ? amount : converted;
+        };
+        const keys = {
+            priority: () => 0,
+            goal: toolId => inReporting(toolId, progress[toolId].goal),
+            remaining: toolId => inReporting(toolId, Math.max(progress[toolId].goal - progress[toolId].raised, 0)),
+            percent: toolId => -progress[toolId].percent
+        };
+        const key = keys[this.filters.sort];
+        const funded = toolId => (progress[toolId].funded ? 1 : 0);
+
+        // Array.prototype.sort is stable, so ToolData order breaks ties
+        return toolIds.sort((a, b) => funded(a) - funded(b) || key(a) - key(b) || rank(a) - rank(b));
+    },
+
+    matches: function(toolId) {
+        const tool = ToolData[toolId];
+        if (this.filters.categories.length > 0 && !this.filters.categories.includes(this.getCategoryKey(tool.category))) {
+            return false;
+        }
+        if (this.filters.urgencies.length > 0 && !this.filters.urgencies.includes(tool.urgency)) {
+            return false;
+        }
+
+        const terms = this.normalize(this.filters.query).split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return true;
+
+        // Search the English copy and the current translation, so either language finds a tool
+        const text = this.normalize([
+            tool.name,
+            tool.description,
+            I18n.toolText(toolId, 'description'),
+            tool.details.specifications.join(' '),
+            I18n.toolText(toolId, 'specifications').join(' '),
+            tool.details.uses.join(' '),
+            I18n.toolText(toolId, 'uses').join(' ')
+        ].join(' '));
+        return terms.every(term => text.includes(term));
+    },
+
+    // Case- and accent-insensitive: "securite" finds "Sécurité"
+    normalize: function(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    // 'Security Pro' -> 'security-pro', the form used in the URL
+    getCategoryKey: function(category) {
+        return category.toLowerCase().replace(/\s+/g, '-');
+    },
+
+    // Category keys in ToolData order, each labelled with its translated name
+    getCategories: function() {
+        const categories = [];
+        Object.keys(ToolData).forEach(toolId => {
+            const key = this.getCategoryKey(ToolData[toolId].category);
+            if (!categories.some(category => category.key === key)) {
+                categories.push({ key: key, label: I18n.toolText(toolId, 'category') });
+            }
+        });
+        return categories;
+    },
+
+    // Chips are rebuilt only when the language changes, so a clicked chip keeps focus
+    renderFilters: function() {
+        const categoryChips = document.getElementById('toolCategoryFilters');
+        const urgencyChips = document.getElementById('toolUrgencyFilters');
+        if (categoryChips && urgencyChips && this.filtersLocale !== I18n.locale) {
+            this.filtersLocale = I18n.locale;
+            const chip = (filter, value, label) => `
+                <button type="button" class="filter-chip" data-action="tool-filter" data-filter="${filter}" data-value="${value}" aria-pressed="false">${Utils.escapeHtml(label)}</button>
+            `;
+            categoryChips.innerHTML = this.getCategories().map(category => chip('categories', category.key, category.label)).join('');
+            urgencyChips.innerHTML = Object.keys(this.urgencyRank).reverse()
+                .map(urgency => chip('urgencies', urgency, I18n.t(`urgency.${urgency}`))).join('');
+        }
+
+        document.querySelectorAll('.tools-toolbar .filter-chip').forEach(button => {
+            button.setAttribute('aria-pressed', String(this.filters[button.dataset.filter].includes(button.dataset.value)));
+        });
+        const search = document.getElementById('toolSearch');
+        if (search && search.value !== this.filters.query) search.value = this.filters.query;
+        const sort = document.getElementById('toolSort');
+        if (sort) sort.value = this.filters.sort;
+    },
+
+    bindToolbar: function(signal) {
+        const toolbar = document.querySelector('.tools-toolbar');
+        if (!toolbar) return;
+
+        toolbar.addEventListener('input', (e) => {
+            if (e.target.id === 'toolSearch') this.update({ query: e.target.value });
+        }, { signal: signal });
+        toolbar.addEventListener('change', (e) => {
+            if (e.target.id === 'toolSort') this.update({ sort: e.target.value });
+        }, { signal: signal });
+    },
+
+    toggleFilter: function(filter, value) {
+        const selected = this.filters[filter];
+        if (!selected) return;
+        this.update({
+            [filter]: selected.includes(value)
+                ? selected.filter(item => item !== value)
+                : selected.concat(value)
+        });
+    },
+
+    clearFilters: function() {
+        this.update({ query: '', categories: [], urgencies: [], sort: 'priority' });
+    },
+
+    update: function(changes) {
+        Object.assign(this.filters, changes);
+        this.writeUrl();
+        this.render();
+    },
+
+    // Unknown values in a shared link are dropped rather than matching nothing
+    readUrl: function() {
+        const params = new URLSearchParams(window.location.search);
+        const list = (name, allowed) => (params.get(name) || '').split(',').filter(value => allowed.includes(value));
+
+        this.filters.query = params.get('q') || '';
+        this.filters.categories = list('category', this.getCategories().map(category => category.key));
+        this.filters.urgencies = list('urgency', Object.keys(this.urgencyRank));
+        this.filters.sort = this.SORTS.includes(params.get('sort')) ? params.get('sort') : 'priority';
+    },
+
+    // replaceState, so typing in the search box doesn't fill the back button history
+    writeUrl: function() {
+        const params = new URLSearchParams(window.location.search);
+        const set = (name, value) => (value ? params.set(name, value) : params.delete(name));
+        set('q', this.filters.query.trim());
+        set('category', this.filters.categories.join(','));
+        set('urgency', this.filters.urgencies.join(','));
+        set('sort', this.filters.sort === 'priority' ? '' : this.filters.sort);
+
+        const search = params.toString();
+        history.replaceState(history.state, '', window.location.pathname + (search ? `?${search}` : '') + window.location.hash);
+    },
+
+    renderCard: function(toolId) {
+        const tool = ToolData[toolId];
+        const progress = DonationTracker.getToolProgress(toolId);
+        const urgency = progress.funded
+            ? `<span class="tool-urgency funded">${I18n.t('tool.funded')}</span>`
+            : `<span class="tool-urgency ${tool.urgency}">${I18n.t(`urgency.${tool.urgency}`)}</span>`;
+        const lifecycle = ExpenseTracker.getLifecycle(toolId);
+
+        return `
+            <div class="tool-card${progress.funded ? ' funded' : ''}" data-tool-id="${toolId}">
+                <div class="tool-image">
+                    <img src="${tool.image}" alt="${tool.imageAlt}" loading="lazy">
+                </div>
+                <div class="tool-content">
+                    <h3>${tool.name}</h3>
+                    <p>${I18n.toolText(toolId, 'description')}</p>
+                    <div class="tool-meta">
+                        <span class="tool-category">${I18n.toolText(toolId, 'category')}</span>
+                        ${urgency}
+                        ${lifecycle ? `<span class="tool-lifecycle ${lifecycle}">${I18n.t(`lifecycle.${lifecycle}`)}</span>` : ''}
+                    </div>
+                    <div class="tool-progress">
+                        <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.min(progress.percent, 100)}">
+                            <div class="progress-fill" data-percent="${Math.min(progress.percent, 100)}"></div>
+                        </div>
+                        <span class="progress-text">${this.formatProgress(tool, progress)}</span>
+                    </div>
+                    <div class="tool-actions">
+                        <a class="btn btn-secondary btn-sm" href="#/tools/${toolId}">${I18n.t('tool.viewDetails')}</a>
+                        <a class="btn btn-primary btn-sm" href="#/tools/${toolId}/donate">${I18n.t('tool.donate')}</a>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // "$10 / $133 raised (7%)", plus the reporting-currency equivalent when it differs
+    formatProgress: function(tool, progress) {
+        const text = I18n.t('tool.progress', {
+            raised: Utils.formatCurrency(progress.raised, tool.currency),
+            goal: Utils.formatCurrency(progress.goal, tool.currency),
+            percent: I18n.formatNumber(progress.percent)
+        });
+        const reporting = CurrencyConverter.reportingCurrency;
+        const raised = CurrencyConverter.convert(progress.raised, tool.currency, reporting);
+        const goal = CurrencyConverter.convert(progress.goal, tool.currency, reporting);
+
+        if (reporting === tool.currency || raised === null || goal === null) return text;
+        return `${text} · ≈ ${Utils.formatCurrency(Math.round(raised), reporting)} / ${Utils.formatCurrency(Math.round(goal), reporting)}`;
+    }
+};
+
+// Accessible dialog stack used by every modal on the site.
+// Dialogs are pushed when shown and popped when hidden; only the top one takes
+// Escape, backdrop clicks and keyboard focus, and focus returns to whatever
+// opened it. showModal() resolves with the value passed to hideModal(), and the
+// optional refresh callback rebuilds the dialog in place (e.g. after a language change).
+const ToolModalManager = {
+    stack: [],
+    initialized: false,
+    savedOverflow: '',
+    savedPaddingRight: '',
+    BASE_Z_INDEX: 1000,
+    FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+
+    init: function() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.listeners = new AbortController();
+        const signal = this.listeners.signal;
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e), { signal: signal });
+        document.addEventListener('click', (e) => {
+            const top = this.getTop();
+            if (!top) return;
+            if (e.target === top.modal) this.hideModal(top.modal.id);
+        }, { signal: signal });
+    },
+
+    // modal-close action inside the top dialog; show() resolves with its data-result
+    closeFrom: function(element) {
+        const top = this.getTop();
+        if (top && top.modal.contains(element)) {
+            this.hideModal(top.modal.id, element.dataset.result || undefined);
+        }
+    },
+
+    // Close every open dialog, top first, then drop the document listeners
+    destroy: function() {
+        this.stack.slice().reverse().forEach(entry => this.hideModal(entry.modal.id));
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    showToolDetails: function(toolId) {
+        const tool = ToolData[toolId];
+        if (!tool) return;
+        
+        return this.open(`toolDetails-${toolId}`, I18n.t('tool.detailsTitle', { name: tool.name }), `
+            <div class="tool-details">
+                <p>${I18n.toolText(toolId, 'description')}</p>
+                
+                <h4>${I18n.t('tool.specifications')}</h4>
+                <ul>
+                    ${I18n.toolText(toolId, 'specifications').map(spec => `<li>${spec}</li>`).join('')}
+                </ul>
+                
+                <h4>${I18n.t('tool.uses')}</h4>
+                <ul>
+                    ${I18n.toolText(toolId, 'uses').map(use => `<li>${use}</li>`).join('')}
+                </ul>
+                
+                <h4>${I18n.t('tool.priority')}</h4>
+                <p><strong>${I18n.toolText(toolId, 'priority')}</strong></p>
+                ${this.renderPurchases(toolId)}
+            </div>
+        `, () => this.showToolDetails(toolId));
+    },
+
+    // What the tool's donations bought so far, from ExpenseTracker
+    renderPurchases: function(toolId) {
+        const expenses = ExpenseTracker.getForTool(toolId);
+        if (expenses.length === 0) return '';
+
+        return `
+            <h4>${I18n.t('tool.purchases')}</h4>
+            <ul class="tool-purchases">
+                ${expenses.map(expense => `
+                    <li>
+                        <span>${I18n.t('tool.purchase', {
+                            date: Utils.escapeHtml(I18n.formatDate(expense.date, { dateStyle: 'medium', timeZone: 'UTC' }) || expense.date),
+                            vendor: Utils.escapeHtml(expense.vendor),
+                            amount: Utils.escapeHtml(CurrencyConverter.formatWithConversion(expense.amount, expense.currency))
+                        })}</span>
+                        <span class="tool-lifecycle ${expense.status}">${I18n.t(`lifecycle.${expense.status}`)}</span>
+                        ${expense.receipt ? `
+                            <a class="tool-receipt" href="${Utils.escapeHtml(expense.receipt)}" target="_blank" rel="noopener">
+                                <img src="${Utils.escapeHtml(expense.receipt)}" alt="${Utils.escapeHtml(I18n.t('tool.receipt', { vendor: expense.vendor }))}" loading="lazy">
+                            </a>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    },
+    
+    showPaymentOptions: function(toolId) {
+        const tool = ToolData[toolId];
+        if (!tool) return;
+        
+        const modal = this.createModal(`toolPayment-${toolId}`, I18n.t('payment.title', { name: tool.name }), `
+            <div class="payment-options">
+                <a class="payment-option" href="https://ko-fi.com/n3twork" target="_blank" rel="noopener">
+                    <div class="payment-icon">☕</div>
+                    <div>
+                        <strong>Ko-fi</strong><br>
+                        <small>${I18n.t('payment.kofi.text')}</small>
+                    </div>
+                </a>
+                
+                <a class="payment-option" href="https://github.com/sponsors/n3twork5" target="_blank" rel="noopener">
+                    <div class="payment-icon">⭐</div>
+                    <div>
+                        <strong>GitHub Sponsors</strong><br>
+                        <small>${I18n.t('payment.github.text')}</small>
+                    </div>
+                </a>
+                
+                <button type="button" class="payment-option" data-action="pay-crypto" data-tool-id="${toolId}">
+                    <div class="payment-icon">₿</div>
+                    <div>
+                        <strong>${I18n.t('payment.crypto.title')}</strong><br>
+                        <small>${I18n.t('payment.crypto.text')}</small>
+                    </div>
+                </button>
+                
+                <button type="button" class="payment-option" data-action="copy-email">
+                    <div class="payment-icon">✉️</div>
+                    <div>
+                        <strong>${I18n.t('payment.direct.title')}</strong><br>
+                        <small>${I18n.t('payment.direct.text')}</small>
+                    </div>
+                </button>
+            </div>
+            <p class="modal-hint">${I18n.t('payment.hint')}</p>
+        `);
+        
+        return this.showModal(modal, () => this.showPaymentOptions(toolId));
+    },
+
+    // Create and show in one step; resolves when the dialog closes
+    open: function(id, title, content, refresh) {
+        return this.showModal(this.createModal(id, title, content), refresh);
+    },
+    
+    createModal: function(id, title, content) {
+        const modal = document.createElement('div');
+        modal.id = id;
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="${id}-title" tabindex="-1">
+                <div class="modal-header">
+                    <h3 id="${id}-title">${title}</h3>
+                    <button type="button" class="close" data-action="modal-close" aria-label="${I18n.t('common.close')}">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${content}
+                </div>
+            </div>
+        `;
+
+        // Re-rendering an open dialog swaps it in place and keeps its stack entry
+        const existing = document.getElementById(id);
+        const entry = this.getEntry(id);
+        if (entry) {
+            entry.modal = modal;
+            modal.style.zIndex = existing.style.zIndex;
+            modal.inert = existing.inert;
+        }
+        if (existing) existing.remove();
+        
+        document.body.appendChild(modal);
+        return modal;
+    },
+    
+    showModal: function(modal, refresh) {
+        this.init();
+
+        let entry = this.getEntry(modal.id);
+        if (!entry) {
+            const below = this.getTop();
+            if (below) below.modal.inert = true;
+
+            entry = { modal: modal, returnFocus: document.activeElement };
+            entry.closed = new Promise(resolve => { entry.resolve = resolve; });
+            this.stack.push(entry);
+            if (this.stack.length === 1) this.lockScroll();
+            modal.style.zIndex = String(this.BASE_Z_INDEX + this.stack.length);
+        }
+        if (refresh) entry.refresh = refresh;
+
+        modal.classList.add('show');
+        const dialog = modal.querySelector('[role="dialog"]');
+        (modal.querySelector('[autofocus]') || dialog).focus();
+        return entry.closed;
+    },
+    
+    hideModal: function(modalId, result) {
+        const index = this.stack.findIndex(entry => entry.modal.id === modalId);
+        if (index === -1) {
+            // Not opened through showModal; just take it out of the page
+            const stray = document.getElementById(modalId);
+            if (stray) stray.remove();
+            return;
+        }
+
+        const [entry] = this.stack.splice(index, 1);
+        const wasTop = index === this.stack.length;
+        entry.modal.classList.remove('show');
+        setTimeout(() => entry.modal.remove(), 300);
+
+        const top = this.getTop();
+        if (wasTop && top) top.modal.inert = false;
+        if (!top) this.unlockScroll();
+
+        if (wasTop) {
+            const target = entry.returnFocus;
+            if (target && document.contains(target) && !entry.modal.contains(target) && typeof target.focus === 'function') {
+                target.focus();
+            } else if (top) {
+                top.modal.querySelector('[role="dialog"]').focus();
+            }
+        }
+
+        entry.resolve(result);
+    },
+
+    // Rebuild every open dialog that registered a refresh callback, bottom to top
+    refresh: function() {
+        this.stack.slice().forEach(entry => {
+            if (entry.refresh) entry.refresh();
+        });
+        const top = this.getTop();
+        if (top && !top.modal.contains(document.activeElement)) {
+            top.modal.querySelector('[role="dialog"]').focus();
+        }
+    },
+
+    getTop: function() {
+        return this.stack[this.stack.length - 1] || null;
+    },
+
+    getEntry: function(modalId) {
+        return this.stack.find(entry => entry.modal.id === modalId) || null;
+    },
+
+    handleKeydown: function(e) {
+        const top = this.getTop();
+        if (!top) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hideModal(top.modal.id);
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e, top.modal);
+        }
+    },
+
+    // Keep Tab and Shift+Tab cycling inside the top dialog, followed by the
+    // toasts, so toast actions such as Undo stay reachable from the keyboard
+    trapFocus: function(e, modal) {
+        const toasts = document.getElementById('notificationCenter');
+        const focusable = Array.from(modal.querySelectorAll(this.FOCUSABLE))
+            .concat(toasts ? Array.from(toasts.querySelectorAll(this.FOCUSABLE)) : [])
+            .filter(element => !element.closest('[hidden], .leaving'));
+        e.preventDefault();
+        if (focusable.length === 0) {
+            modal.querySelector('[role="dialog"]').focus();
+            return;
+        }
+
+        // Focus on the dialog itself or outside the trap moves to the first or last element
+        const index = focusable.indexOf(document.activeElement);
+        const step = e.shiftKey ? -1 : 1;
+        const next = index === -1
+            ? (e.shiftKey ? focusable.length - 1 : 0)
+            : (index + step + focusable.length) % focusable.length;
+        focusable[next].focus();
+    },
+
+    // Lock once for the whole stack so nested dialogs don't restore scrolling early
+    lockScroll: function() {
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        this.savedOverflow = document.body.style.overflow;
+        this.savedPaddingRight = document.body.style.paddingRight;
+        document.body.style.overflow = 'hidden';
+        if (scrollbarWidth > 0) document.body.style.paddingRight = `${scrollbarWidth}px`;
+    },
+
+    unlockScroll: function() {
+        document.body.style.overflow = this.savedOverflow;
+        document.body.style.paddingRight = this.savedPaddingRight;
+    }
+};
+
+// Payment requests for the crypto modal.
+// Builds BIP21 (bitcoin:, litecoin:) and EIP-681 (ethereum:) URIs from CryptoConfig
+// and renders them as QR codes with js/qrcode.js, entirely in the browser.
+// Addresses are verified by js/crypto-address.js first; one that fails is blocked
+// rather than shown, since a swapped address would send donations elsewhere.
+const CryptoPayment = {
+    MODAL_ID: 'cryptoModal',
+    symbol: null,
+    toolId: null,
+    verification: null,
+
+    init: function() {
+        if (this.verification) return;
+        this.verification = CryptoAddress.verifyAll(CryptoConfig);
+        Object.keys(this.verification).forEach(symbol => {
+            if (!this.verification[symbol].valid) {
+                console.error(`Blocked ${symbol} donation address: ${this.verification[symbol].reason}`);
+            }
+        });
+    },
+
+    isVerified: function(symbol) {
+        this.init();
+        return Boolean(this.verification[symbol] && this.verification[symbol].valid);
+    },
+
+    show: function(toolId) {
+        this.toolId = Object.prototype.hasOwnProperty.call(ToolData, toolId) ? toolId : null;
+        this.symbol = Object.keys(CryptoConfig).find(symbol => this.isVerified(symbol)) || null;
+        const tool = this.toolId ? ToolData[this.toolId] : null;
+
+        const modal = ToolModalManager.createModal(this.MODAL_ID, I18n.t('crypto.title'), `
+            ${tool ? `<p class="crypto-tool-note">${I18n.t('crypto.toolNote', { name: Utils.escapeHtml(tool.name) })}</p>` : ''}
+            <div class="payment-options crypto-coins">
+                ${Object.keys(CryptoConfig).map(symbol => {
+                    const coin = CryptoConfig[symbol];
+                    if (!this.isVerified(symbol)) {
+                        return `
+                            <div class="payment-option blocked" aria-disabled="true">
+                                <div class="payment-icon">⚠️</div>
+                                <div>
+                                    <strong>${I18n.t('crypto.blocked.title', { name: coin.name, symbol: symbol })}</strong><br>
+                                    <small>${I18n.t('crypto.blocked.text', { reason: Utils.escapeHtml(this.verification[symbol].reason) })}</small>
+                                </div>
+                            </div>
+                        `;
+                    }
+                    return `
+                        <div class="payment-option" role="button" tabindex="0" data-action="crypto-select" data-symbol="${symbol}" aria-pressed="false">
+                            <div class="payment-icon crypto-icon">
+                                <img src="${coin.icon}" alt="${coin.name}" class="crypto-logo">
+                            </div>
+                            <div>
+                                <strong>${coin.name} (${symbol})</strong><br>
+                                <small>${coin.address}</small>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div class="crypto-request"${this.symbol ? '' : ' hidden'}>
+                <div class="crypto-qr" id="cryptoQr"></div>
+                <div class="crypto-request-details">
+                    <div class="form-group">
+                        <label for="cryptoAmount" id="cryptoAmountLabel"></label>
+                        <input type="text" id="cryptoAmount" inputmode="decimal" autocomplete="off" placeholder="0.00" aria-describedby="cryptoAmountHint">
+                        <small id="cryptoAmountHint"></small>
+                    </div>
+                    <code class="crypto-address" id="cryptoAddress"></code>
+                    <div class="crypto-request-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="crypto-copy" data-copy="address">${I18n.t('crypto.copyAddress')}</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="crypto-copy" data-copy="uri">${I18n.t('crypto.copyLink')}</button>
+                        <a class="btn btn-primary btn-sm" id="cryptoWalletLink" href="#">${I18n.t('crypto.openWallet')}</a>
+                    </div>
+                </div>
+            </div>
+            <p class="modal-hint">${I18n.t('crypto.hint')}</p>
+        `);
+
+        modal.querySelector('#cryptoAmount').addEventListener('input', () => this.update());
+
+        if (this.symbol) this.select(this.symbol);
+        return ToolModalManager.showModal(modal, () => this.refresh());
+    },
+
+    // Re-render for a new language without losing the chosen coin and amount
+    refresh: function() {
+        const input = document.getElementById('cryptoAmount');
+        const symbol = this.symbol;
+        const amount = input ? input.value : '';
+
+        this.show(this.toolId);
+        if (symbol && this.isVerified(symbol)) {
+            this.select(symbol);
+            document.getElementById('cryptoAmount').value = amount;
+            this.update();
+        }
+    },
+
+    select: function(symbol) {
+        const modal = document.getElementById(this.MODAL_ID);
+        if (!modal || !this.isVerified(symbol)) return;
+
+        this.symbol = symbol;
+        modal.querySelectorAll('[data-action="crypto-select"]').forEach(option => {
+            const selected = option.dataset.symbol === symbol;
+            option.classList.toggle('selected', selected);
+            option.setAttribute('aria-pressed', String(selected));
+        });
+        // Amounts are in whole coins, so they don't carry over between currencies
+        modal.querySelector('#cryptoAmount').value = '';
+        modal.querySelector('#cryptoAmountLabel').textContent = I18n.t('crypto.amountLabel', { unit: symbol });
+        modal.querySelector('#cryptoAddress').textContent = CryptoConfig[symbol].address;
+        this.update();
+    },
+
+    update: function() {
+        const modal = document.getElementById(this.MODAL_ID);
+        if (!modal) return;
+
+        const coin = CryptoConfig[this.symbol];
+        const input = modal.querySelector('#cryptoAmount');
+        const hint = modal.querySelector('#cryptoAmountHint');
+        const amount = this.parseAmount(input.value, coin.decimals);
+        const uri = this.buildUri(this.symbol, amount || '', this.toolId);
+
+        input.setAttribute('aria-invalid', String(amount === null));
+        if (amount === null) {
+            hint.textContent = I18n.t('crypto.amountInvalid', { decimals: coin.decimals });
+        } else if (amount) {
+            const converted = CurrencyConverter.convert(Number(amount), this.symbol, CurrencyConverter.reportingCurrency);
+            hint.textContent = converted === null ? '' : `≈ ${Utils.formatCurrency(converted, CurrencyConverter.reportingCurrency)}`;
+        } else {
+            hint.textContent = I18n.t('crypto.amountEmpty');
+        }
+
+        modal.querySelector('#cryptoQr').innerHTML = QRCode.toSvg(uri, { label: I18n.t('crypto.qrLabel', { name: coin.name }) });
+        modal.querySelector('#cryptoWalletLink').href = uri;
+    },
+
+    // Read the clipboard back where the browser allows it, to catch clipboard hijackers
+    // crypto-copy action: 'address' or 'uri' (the payment link with the amount)
+    copy: function(kind) {
+        if (!this.isVerified(this.symbol)) return;
+        this.copyVerified(kind === 'uri' ? this.getCurrentUri() : CryptoConfig[this.symbol].address);
+    },
+
+    copyVerified: async function(text) {
+        const copied = await Utils.copyToClipboard(text);
+        if (!copied || !navigator.clipboard || !navigator.clipboard.readText) return copied;
+
+        let pasted;
+        try {
+            pasted = await navigator.clipboard.readText();
+        } catch (err) {
+            return copied; // permission denied; nothing to compare against
+        }
+        if (pasted !== text) {
+            Utils.showNotification(I18n.t('notify.clipboardMismatch'), 'error', { sticky: true });
+            return false;
+        }
+        return true;
+    },
+
+    getCurrentUri: function() {
+        const input = document.getElementById('cryptoAmount');
+        const coin = CryptoConfig[this.symbol];
+        const amount = input ? this.parseAmount(input.value, coin.decimals) : '';
+        return this.buildUri(this.symbol, amount || '', this.toolId);
+    },
+
+    buildUri: function(symbol, amount, toolId) {
+        const coin = CryptoConfig[symbol];
+        const params = [];
+
+        // The tool goes in label=, the field wallets show as the payee, on both URI kinds
+        const label = ToolData[toolId] ? `label=${encodeURIComponent(I18n.t('crypto.uriLabel', { name: I18n.toolText(toolId, 'name') }))}` : null;
+        if (coin.scheme === 'ethereum') {
+            // EIP-681: the chain ID keeps BNB Smart Chain payments off Ethereum mainnet.
+            // Wallets that don't know label= ignore it.
+            if (amount) params.push(`value=${this.toBaseUnits(amount, coin.decimals)}`);
+            if (label) params.push(label);
+            return `ethereum:${coin.address}@${coin.chainId}${params.length ? `?${params.join('&')}` : ''}`;
+        }
+
+        // BIP21, also used by Litecoin wallets
+        if (amount) params.push(`amount=${amount}`);
+        if (label) params.push(label);
+        return `${coin.scheme}:${coin.address}${params.length ? `?${params.join('&')}` : ''}`;
+    },
+
+    // Returns a normalized decimal string, '' for an empty field or null when invalid.
+    // A decimal comma is accepted for locales that write 0,01.
+    parseAmount: function(text, decimals) {
+        const value = String(text).trim().replace(',', '.');
+        if (!value) return '';
+
+        const match = value.match(/^(\d*)(?:\.(\d*))?$/);
+        if (!match || !(match[1] || match[2])) return null;
+
+        const whole = match[1].replace(/^0+/, '') || '0';
+        const fraction = (match[2] || '').replace(/0+$/, '');
+        if (fraction.length > decimals || (whole === '0' && !fraction)) return null;
+        return fraction ? `${whole}.${fraction}` : whole;
+    },
+
+    // String arithmetic keeps wei amounts exact beyond Number precision
+    toBaseUnits: function(amount, decimals) {
+        const [whole, fraction = ''] = amount.split('.');
+        return (whole + fraction.padEnd(decimals, '0')).replace(/^0+(?=\d)/, '');
+    }
+};
+
+// Offline import of Ko-fi and GitHub Sponsors export files.
+// parse() never commits anything: it returns a preview of { donations, duplicates, errors }
+// that the admin console shows before DonationTracker.importDonations() is called.
+const DonationImporter = {
+    // Accepted column names per field, compared case-insensitively
+    formats: {
+        // Our own history export (see DonationExporter), which keeps tool, method and record ID
+        boostbond: {
+            label: 'BoostBond export',
+            native: true,
+            columns: {
+                id: ['id'],
+                transactionId: ['transactionId'],
+                timestamp: ['timestamp'],
+                contributor: ['contributor'],
+                amount: ['amount'],
+                currency: ['currency'],
+                tool: ['tool'],
+                method: ['method']
+            }
+        },
+        kofi: {
+            label: 'Ko-fi',
+            method: 'Ko-fi',
+            columns: {
+                transactionId: ['TransactionId', 'Transaction Id', 'Kofi Transaction Id'],
+                timestamp: ['DateTime (UTC)', 'DateTime', 'Date'],
+                contributor: ['From', 'Name'],
+                amount: ['Received', 'Amount'],
+                currency: ['Currency']
+            }
+        },
+        github: {
+            label: 'GitHub Sponsors',
+            method: 'GitHub Sponsors',
+            columns: {
+                transactionId: ['Transaction ID', 'TransactionId', 'transaction_id', 'id'],
+                timestamp: ['Transaction Date', 'transaction_date', 'Processed At', 'created_at', 'date'],
+                contributor: ['Sponsor Handle', 'sponsor_handle', 'Sponsor', 'sponsor', 'login'],
+                amount: ['Processed Amount', 'processed_amount', 'Tier Monthly Amount', 'amount'],
+                currency: ['Currency', 'currency'],
+                isPublic: ['Is Public?', 'is_public', 'public']
+            }
+        }
+    },
+
+    // source is 'kofi', 'github' or 'auto'; options.tool is the tool imported rows are credited to
+    parse: function(text, fileName, source = 'auto', options = {}) {
+        const content = String(text).replace(/^\ufeff/, '');
+        const isJson = /\.json$/i.test(fileName || '') || /^\s*[[{]/.test(content);
+
+        let entries;
+        try {
+            entries = isJson ? this.readJson(content) : this.readCsv(content);
+        } catch (error) {
+            return { format: null, donations: [], duplicates: [], errors: [{ line: null, message: error.message }] };
+        }
+
+        const format = source === 'auto' ? this.detectFormat(entries, isJson) : source;
+        if (!this.formats[format]) {
+            return {
+                format: null,
+                donations: [],
+                duplicates: [],
+                errors: [{ line: null, message: 'Unrecognised export: expected a Ko-fi transactions CSV, a GitHub Sponsors CSV/JSON export or a BoostBond history export' }]
+            };
+        }
+
+        const preview = { format: format, donations: [], duplicates: [], errors: [] };
+        const seen = new Set();
+
+        entries.forEach(entry => {
+            const mapped = this.mapEntry(entry.fields, format, options.tool);
+            if (mapped.error) {
+                preview.errors.push({ line: entry.line, message: mapped.error });
+                return;
+            }
+
+            const key = this.dedupeKey(mapped.donation);
+            if (seen.has(key) || this.isKnown(mapped.donation)) {
+                preview.duplicates.push({ line: entry.line, donation: mapped.donation });
+                return;
+            }
+            seen.add(key);
+            preview.donations.push({ line: entry.line, donation: mapped.donation });
+        });
+
+        return preview;
+    },
+
+    // RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines.
+    // Returns [{ line, fields }] where line is the 1-based line the row starts on.
+    readCsv: function(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push({ line: rowLine, cells: row });
+                row = [];
+                field = '';
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push({ line: rowLine, cells: row });
+        }
+
+        const nonEmpty = rows.filter(r => r.cells.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) throw new Error('The file is empty');
+
+        const header = nonEmpty[0].cells.map(cell => cell.trim());
+        return nonEmpty.slice(1).map(r => {
+            const fields = {};
+            header.forEach((name, index) => { fields[name] = (r.cells[index] || '').trim(); });
+            return { line: r.line, fields: fields };
+        });
+    },
+
+    // JSON exports are an array of objects, optionally wrapped in { data: [...] } or similar.
+    // "line" is the 1-based entry number, since JSON rows have no meaningful line.
+    readJson: function(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : ['donations', 'data', 'transactions', 'sponsorships', 'activity']
+            .map(key => data && data[key])
+            .find(Array.isArray);
+        if (!list) throw new Error('Expected a JSON array of transactions');
+
+        return list.map((item, index) => ({ line: index + 1, fields: this.flatten(item) }));
+    },
+
+    // { sponsor: { login: 'x' } } -> { 'sponsor.login': 'x', login: 'x' } so nested exports match the column aliases
+    flatten: function(item, prefix = '', out = {}) {
+        Object.keys(item || {}).forEach(key => {
+            const value = item[key];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.flatten(value, `${prefix}${key}.`, out);
+            } else {
+                out[`${prefix}${key}`] = value;
+                if (prefix && !(key in out)) out[key] = value;
+            }
+        });
+        return out;
+    },
+
+    detectFormat: function(entries, isJson) {
+        if (entries.length === 0) return null;
+
+        const columns = Object.keys(entries[0].fields).map(name => name.toLowerCase());
+        const has = name => columns.includes(name.toLowerCase());
+
+        if (has('id') && has('timestamp') && has('tool') && has('method')) return 'boostbond';
+        if (has('Sponsor Handle') || has('Processed Amount') || has('Tier Monthly Amount')) return 'github';
+        if (has('TransactionId') && (has('Received') || has('From'))) return 'kofi';
+        // GitHub is the only provider with a JSON export
+        return isJson ? 'github' : null;
+    },
+
+    getField: function(fields, aliases) {
+        const names = Object.keys(fields);
+        for (const alias of aliases) {
+            const name = names.find(n => n.toLowerCase() === alias.toLowerCase());
+            if (name !== undefined && fields[name] !== undefined && fields[name] !== null && fields[name] !== '') {
+                return fields[name];
+            }
+        }
+        return null;
+    },
+
+    mapEntry: function(fields, format, tool) {
+        const spec = this.formats[format];
+        const get = field => {
+            const value = this.getField(fields, spec.columns[field] || []);
+            return spec.native ? this.unguardCsv(value) : value;
+        };
+
+        // Provider exports are keyed by transaction ID; our own exports may only have a record ID
+        const id = spec.native ? get('id') : null;
+        const transactionId = get('transactionId');
+        if (!transactionId && !id) return { error: 'Missing transaction ID' };
+
+        const timestamp = this.parseDate(get('timestamp'));
+        if (!timestamp) return { error: `Unreadable date "${get('timestamp') || ''}"` };
+
+        // Sponsors who chose a private sponsorship stay anonymous
+        const isPublic = get('isPublic');
+        const hidden = isPublic !== null && /^(false|no|0)$/i.test(String(isPublic));
+
+        const result = DonationValidator.validate({
+            amount: this.parseAmount(get('amount')),
+            currency: get('currency') || 'USD',
+            tool: spec.native ? get('tool') : (tool || 'General'),
+            method: spec.native ? get('method') : spec.method,
+            contributor: hidden ? 'Anonymous' : get('contributor')
+        });
+        if (!result.valid) return { error: DonationValidator.describeErrors(result.errors) };
+
+        const donation = Object.assign(result.value, { timestamp: timestamp });
+        if (transactionId) donation.transactionId = String(transactionId);
+        if (id) donation.id = String(id);
+        return { donation: donation };
+    },
+
+    // A record from the donation feed or the ledger, validated like an imported row:
+    // only the validated fields and the identity fields are kept. Null when invalid.
+    fromRecord: function(record) {
+        if (!record || typeof record !== 'object') return null;
+
+        const timestamp = this.parseDate(record.timestamp);
+        const transactionId = record.transactionId ? String(record.transactionId) : null;
+        const id = typeof record.id === 'string' && record.id ? record.id : null;
+        const result = DonationValidator.validate(record);
+        if (!result.valid || !timestamp || !(transactionId || id)) return null;
+
+        const donation = Object.assign(result.value, { timestamp: timestamp });
+        if (transactionId) donation.transactionId = transactionId;
+        if (id) donation.id = id;
+        return donation;
+    },
+
+    // Undo DonationExporter's formula-injection guard ("'=cmd" -> "=cmd")
+    unguardCsv: function(value) {
+        return typeof value === 'string' && /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    },
+
+    // "$1,234.50" -> "1234.50", "1.234,50 €" -> "1234.50"; left as text so the validator
+    // reports junk values. A comma followed by one or two final digits is a decimal comma.
+    parseAmount: function(value) {
+        if (value === null) return '';
+        if (typeof value === 'number') return value;
+
+        const text = String(value).replace(/[^\d.,-]/g, '');
+        return /,\d{1,2}$/.test(text)
+            ? text.replace(/\./g, '').replace(/,(?=\d{1,2}$)/, '.').replace(/,/g, '')
+            : text.replace(/,/g, '');
+    },
+
+    // Provider exports use UTC without a zone suffix, e.g. "2025-03-01 14:05"
+    parseDate: function(value) {
+        if (!value) return null;
+
+        let text = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+            text = text.replace(' ', 'T') + 'Z';
+        }
+
+        const time = Date.parse(text);
+        return isNaN(time) ? null : new Date(time).toISOString();
+    },
+
+    dedupeKey: function(donation) {
+        return donation.transactionId ? `${donation.method}:${donation.transactionId}` : `id:${donation.id}`;
+    },
+
+    isKnown: function(donation) {
+        const key = this.dedupeKey(donation);
+        return AppState.donations.some(d => this.dedupeKey(d) === key);
+    }
+};
+
+// Exports of the donation history for transparent reporting.
+// The history CSV and JSON use the record field names as columns, which is the
+// layout DonationImporter recognises as a BoostBond export.
+const DonationExporter = {
+    HISTORY_COLUMNS: ['id', 'timestamp', 'amount', 'currency', 'tool', 'method', 'contributor', 'transactionId'],
+
+    // Only the history exports use the layout DonationImporter reads back;
+    // the summaries and the report are for reading
+    formats: {
+        'history-csv': { label: 'History (CSV)' },
+        'history-json': { label: 'History (JSON)' },
+        'tools-csv': { label: 'Per-tool summary (CSV)' },
+        'months-csv': { label: 'Per-month summary (CSV)' },
+        'report': { label: 'Printable report' }
+    },
+
+    export: function(format) {
+        const date = new Date().toISOString().slice(0, 10);
+
+        switch (format) {
+            case 'history-csv':
+                Utils.downloadFile(`boostbond-donations-${date}.csv`, this.historyCsv(), 'text/csv');
+                break;
+            case 'history-json':
+                Utils.downloadFile(`boostbond-donations-${date}.json`, this.historyJson(), 'application/json');
+                break;
+            case 'tools-csv':
+                Utils.downloadFile(`boostbond-tools-${date}.csv`, this.toCsv(this.toolSummary()), 'text/csv');
+                break;
+            case 'months-csv':
+                Utils.downloadFile(`boostbond-months-${date}.csv`, this.toCsv(this.monthlySummary()), 'text/csv');
+                break;
+            case 'report':
+                this.openReport();
+                break;
+            default:
+                return;
+        }
+    },
+
+    getHistory: function() {
+        return DonationTracker.getDonationHistory().slice().reverse();
+    },
+
+    historyCsv: function() {
+        return this.toCsv(this.getHistory().map(d => {
+            const row = {};
+            this.HISTORY_COLUMNS.forEach(column => { row[column] = d[column] === undefined ? '' : d[column]; });
+            return row;
+        }), this.HISTORY_COLUMNS);
+    },
+
+    historyJson: function() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            schemaVersion: DonationStore.SCHEMA_VERSION,
+            donations: this.getHistory()
+        }, null, 2);
+    },
+
+    toolSummary: function() {
+        const reporting = CurrencyConverter.reportingCurrency;
+
+        return Object.keys(ToolData).map(toolId => {
+            const tool = ToolData[toolId];
+            const progress = DonationTracker.getToolProgress(toolId);
+            const donations = AppState.donations.filter(d => d.tool === toolId);
+
+            return {
+                tool: toolId,
+                name: tool.name,
+                goal: progress.goal,
+                goalCurrency: tool.currency,
+                raised: this.round(progress.raised, tool.currency),
+                percentFunded: progress.percent,
+                funded: progress.funded ? 'yes' : 'no',
+                donations: donations.length,
+                contributors: new Set(donations.map(d => d.contributor)).size,
+                [`raised${reporting}`]: this.round(CurrencyConverter.sum(donations), reporting)
+            };
+        });
+    },
+
+    monthlySummary: function() {
+        const reporting = CurrencyConverter.reportingCurrency;
+        const months = {};
+
+        AppState.donations.forEach(d => {
+            const key = `${d.year}-${String(d.month + 1).padStart(2, '0')}`;
+            (months[key] = months[key] || []).push(d);
+        });
+
+        return Object.keys(months).sort().map(month => ({
+            month: month,
+            donations: months[month].length,
+            contributors: new Set(months[month].map(d => d.contributor)).size,
+            [`total${reporting}`]: this.round(CurrencyConverter.sum(months[month]), reporting)
+        }));
+    },
+
+    round: function(amount, currency) {
+        const factor = Math.pow(10, CurrencyConverter.getDecimals(currency));
+        return Math.round(amount * factor) / factor;
+    },
+
+    // RFC 4180 CSV with a leading apostrophe on text that spreadsheets would run as a formula
+    toCsv: function(rows, columns) {
+        const header = columns || (rows[0] ? Object.keys(rows[0]) : []);
+        const cell = value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [header.map(cell).join(',')]
+            .concat(rows.map(row => header.map(column => cell(row[column])).join(',')))
+            .join('\r\n') + '\r\n';
+    },
+
+    // The report page inherits the site's CSP, so this exact text is allowed by
+    // its sha256 hash in style-src; CspMonitor warns if the two drift apart
+    REPORT_CSS: `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #212529; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.125rem; margin-top: 2rem; border-bottom: 1px solid #dee2e6; padding-bottom: 0.25rem; }
+    .meta { color: #6c757d; font-size: 0.875rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.875rem; margin-top: 0.5rem; }
+    th, td { text-align: left; padding: 0.375rem 0.5rem; border-bottom: 1px solid #dee2e6; }
+    td.number, th.number { text-align: right; }
+    .totals { display: flex; gap: 2rem; margin-top: 1rem; }
+    .totals strong { display: block; font-size: 1.25rem; }
+    @media print { body { margin: 0; } .no-print { display: none; } }
+`,
+
+    // Stand-alone HTML page so the report prints without the site's layout
+    reportHtml: function() {
+        const stats = AppState.stats;
+        const reporting = CurrencyConverter.reportingCurrency;
+        const updated = CurrencyConverter.table.updated;
+        const tools = this.toolSummary();
+        const months = this.monthlySummary();
+        const escape = Utils.escapeHtml;
+
+        return `<!DOCTYPE html>
+<html lang="${escape(I18n.locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${I18n.t('report.title')}</title>
+<style>${this.REPORT_CSS}</style>
+</head>
+<body>
+<button class="no-print" data-action="print">${I18n.t('report.print')}</button>
+<h1>${I18n.t('report.heading')}</h1>
+<p class="meta">${I18n.t('report.meta', {
+        date: escape(I18n.formatDate(new Date(), { dateStyle: 'long', timeStyle: 'short' })),
+        currency: escape(reporting),
+        updated: escape(updated ? I18n.formatDate(updated, { dateStyle: 'long', timeZone: 'UTC' }) || updated : I18n.t('stats.unknownDate'))
+    })}</p>
+
+<div class="totals">
+    <div><strong>${escape(Utils.formatCurrency(this.round(stats.totalRaised, reporting), reporting))}</strong>${I18n.t('report.totalRaised')}</div>
+    <div><strong>${AppState.donations.length}</strong>${I18n.t('report.donations')}</div>
+    <div><strong>${stats.contributors}</strong>${I18n.t('report.contributors')}</div>
+    <div><strong>${stats.toolsSupported}</strong>${I18n.t('report.toolsSupported')}</div>
+</div>
+
+<h2>${I18n.t('report.progress')}</h2>
+<table>
+    <thead><tr><th>${I18n.t('report.tool')}</th><th class="number">${I18n.t('report.raised')}</th><th class="number">${I18n.t('report.goal')}</th><th class="number">${I18n.t('report.funded')}</th><th class="number">${I18n.t('report.donations')}</th><th class="number">${I18n.t('report.contributors')}</th></tr></thead>
+    <tbody>
+        ${tools.map(row => `<tr>
+            <td>${escape(I18n.toolText(row.tool, 'name'))}</td>
+            <td class="number">${escape(Utils.formatCurrency(row.raised, row.goalCurrency))}</td>
+            <td class="number">${escape(Utils.formatCurrency(row.goal, row.goalCurrency))}</td>
+            <td class="number">${row.percentFunded}%</td>
+            <td class="number">${row.donations}</td>
+            <td class="number">${row.contributors}</td>
+        </tr>`).join('')}
+    </tbody>
+</table>
+
+<h2>${I18n.t('report.monthly')}</h2>
+${months.length > 0 ? `<table>
+    <thead><tr><th>${I18n.t('report.month')}</th><th class="number">${I18n.t('report.donations')}</th><th class="number">${I18n.t('report.contributors')}</th><th class="number">${I18n.t('report.total', { currency: escape(reporting) })}</th></tr></thead>
+    <tbody>
+        ${months.map(row => `<tr>
+            <td>${escape(row.month)}</td>
+            <td class="number">${row.donations}</td>
+            <td class="number">${row.contributors}</td>
+            <td class="number">${escape(Utils.formatCurrency(row[`total${reporting}`], reporting))}</td>
+        </tr>`).join('')}
+    </tbody>
+</table>` : `<p>${I18n.t('report.empty')}</p>`}
+</body>
+</html>
+`;
+    },
+
+    openReport: function() {
+        const html = this.reportHtml();
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const opened = window.open(url, '_blank');
+
+        // Popup blocked: fall back to downloading the report
+        if (!opened) {
+            Utils.downloadFile(`boostbond-report-${new Date().toISOString().slice(0, 10)}.html`, html, 'text/html');
+        } else {
+            // No inline handlers under the CSP; the report is same-origin, so wire its button from here
+            opened.addEventListener('load', () => {
+                const button = opened.document.querySelector('[data-action="print"]');
+                if (button) button.addEventListener('click', () => opened.print());
+            });
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+};
+
+// Statistics dashboard behind the hero stats box and #/stats.
+// Every figure is computed from AppState.donations in the reporting currency and
+// drawn with Charts (js/charts.js). While the dialog is open, update() redraws it
+// each time DonationTracker.updateStats runs. Each chart carries a visually
+// hidden table with the same numbers for screen readers.
+const StatsDashboard = {
+    MODAL_ID: 'statsModal',
+    MONTHS: 12,
+    RECENT_COUNT: 5,
+    LEADERBOARD_SIZE: 10,
+
+    show: function() {
+        const currency = AppState.stats.currency || CurrencyConverter.reportingCurrency;
+        const updated = CurrencyConverter.table.updated;
+
+        const modal = ToolModalManager.createModal(this.MODAL_ID, I18n.t('stats.title'), `
+            <div class="legal-content">
+                <div class="stats-dashboard" id="statsDashboard">${this.render()}</div>
+
+                <div class="form-group stats-currency">
+                    <label for="reportingCurrency">${I18n.t('stats.showIn')}</label>
+                    <select id="reportingCurrency">
+                        ${CurrencyConverter.getCurrencies().map(code => `<option value="${code}"${code === currency ? ' selected' : ''}>${code}</option>`).join('')}
+                    </select>
+                    <small>${I18n.t('stats.ratesFrom', { date: Utils.escapeHtml(updated ? I18n.formatDate(updated, { dateStyle: 'long', timeZone: 'UTC' }) || updated : I18n.t('stats.unknownDate')) })}</small>
+                </div>
+
+                <h4>${I18n.t('stats.export')}</h4>
+                <div class="stats-exports">
+                    ${Object.keys(DonationExporter.formats).map(format => `
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="export" data-format="${format}">${I18n.t(`export.${format}`)}</button>
+                    `).join('')}
+                </div>
+                <p class="stats-note">${I18n.t('export.reportOnly')}</p>
+            </div>
+        `);
+
+        // updateStats redraws the dashboard through update()
+        modal.querySelector('#reportingCurrency').addEventListener('change', (e) => {
+            CurrencyConverter.setReportingCurrency(e.target.value);
+            DonationTracker.updateStats();
+        });
+
+        return ToolModalManager.showModal(modal, () => this.show());
+    },
+
+    // Redraw in place; the currency picker and export buttons below keep their focus
+    update: function() {
+        if (!ToolModalManager.getEntry(this.MODAL_ID)) return;
+        const container = document.getElementById('statsDashboard');
+        if (container) container.innerHTML = this.render();
+    },
+
+    render: function() {
+        const stats = AppState.stats;
+        const currency = stats.currency || CurrencyConverter.reportingCurrency;
+        const money = value => Utils.formatCurrency(Math.round(value), currency);
+        const received = Object.keys(stats.byCurrency || {})
+            .map(code => Utils.formatCurrency(stats.byCurrency[code], code))
+            .join(', ');
+        const history = DonationTracker.getDonationHistory().slice(0, this.RECENT_COUNT);
+        const spending = ExpenseTracker.getSummary();
+
+        const summary = `
+            <h4>${I18n.t('stats.current')}</h4>
+            <ul>
+                <li><strong>${I18n.t('stats.thisMonth')}</strong> ${money(stats.monthlyRaised)}</li>
+                <li><strong>${I18n.t('stats.total')}</strong> ${money(stats.totalRaised)}</li>
+                ${spending.spent > 0 ? `
+                    <li><strong>${I18n.t('stats.spent')}</strong> ${money(spending.spent)}</li>
+                    <li><strong>${I18n.t('stats.balance')}</strong> ${money(spending.balance)}</li>
+                ` : ''}
+                ${received ? `<li><strong>${I18n.t('stats.received')}</strong> ${Utils.escapeHtml(received)}</li>` : ''}
+                <li><strong>${I18n.t('stats.toolsSupported')}</strong> ${I18n.formatNumber(stats.toolsSupported)}</li>
+                <li><strong>${I18n.t('stats.contributors')}</strong> ${I18n.formatNumber(stats.contributors)}</li>
+            </ul>
+        `;
+
+        if (AppState.donations.length === 0) {
+            return `${summary}<p>${I18n.t('stats.empty')}</p>${this.renderSpending(money)}`;
+        }
+
+        const monthly = this.getMonthlyTotals();
+        const byMethod = this.getTotalsBy('method', method => method);
+        const byTool = this.getTotalsBy('tool', toolId => (ToolData[toolId] ? ToolData[toolId].name : toolId));
+        const goals = this.getGoalProgress();
+
+        return `
+            ${summary}
+            <div class="stats-charts">
+                ${this.section('stats-chart-wide', I18n.t('stats.monthly'),
+                    Charts.columns(monthly, { format: money }),
+                    monthly.map(point => [point.title, money(point.value)]))}
+                ${this.section('', I18n.t('stats.byMethod'),
+                    Charts.bars(byMethod, { format: money }),
+                    byMethod.map(point => [point.label, money(point.value)]))}
+                ${this.section('', I18n.t('stats.byTool'),
+                    Charts.bars(byTool, { format: money }),
+                    byTool.map(point => [point.label, money(point.value)]))}
+                ${this.section('stats-chart-wide', I18n.t('stats.goals'),
+                    Charts.progress(goals),
+                    goals.map(point => [point.label, point.text]))}
+            </div>
+
+            ${this.renderSpending(money)}
+
+            <h4>${I18n.t('stats.leaderboard')}</h4>
+            ${this.renderLeaderboard(money)}
+
+            <h4>${I18n.t('stats.recent')}</h4>
+            <ul>
+                ${history.map(d => `<li>${I18n.t('stats.recentItem', {
+                    amount: Utils.escapeHtml(CurrencyConverter.formatWithConversion(d.amount, d.currency, currency)),
+                    tool: Utils.escapeHtml(ToolData[d.tool] ? ToolData[d.tool].name : d.tool),
+                    method: Utils.escapeHtml(d.method),
+                    contributor: Utils.escapeHtml(d.contributor)
+                })}</li>`).join('')}
+            </ul>
+        `;
+    },
+
+    // rows: [[label, value]] for the screen-reader table
+    section: function(className, title, chart, rows) {
+        return `
+            <figure class="stats-chart ${className}">
+                <figcaption>${title}</figcaption>
+                ${chart}
+                <table class="sr-only">
+                    <caption>${title}</caption>
+                    ${rows.map(([label, value]) => `<tr><th scope="row">${Utils.escapeHtml(label)}</th><td>${Utils.escapeHtml(value)}</td></tr>`).join('')}
+                </table>
+            </figure>
+        `;
+    },
+
+    // Raised vs spent vs balance for every tool with donations or purchases, then overall
+    renderSpending: function(money) {
+        const rows = Object.keys(ToolData)
+            .map(toolId => Object.assign({ label: ToolData[toolId].name }, ExpenseTracker.getSummary(toolId)))
+            .filter(row => row.raised > 0 || row.spent > 0);
+        if (ExpenseTracker.getAll().length === 0) return '';
+
+        const total = ExpenseTracker.getSummary();
+        const cells = row => `
+            <td class="number">${money(row.raised)}</td>
+            <td class="number">${money(row.spent)}</td>
+            <td class="number${row.balance < 0 ? ' negative' : ''}">${money(row.balance)}</td>
+        `;
+        return `
+            <h4>${I18n.t('stats.spending')}</h4>
+            <table class="stats-spending">
+                <thead>
+                    <tr>
+                        <th scope="col">${I18n.t('stats.spending.tool')}</th>
+                        <th scope="col" class="number">${I18n.t('stats.spending.raised')}</th>
+                        <th scope="col" class="number">${I18n.t('stats.spending.spent')}</th>
+                        <th scope="col" class="number">${I18n.t('stats.spending.balance')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `<tr><th scope="row">${Utils.escapeHtml(row.label)}</th>${cells(row)}</tr>`).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><th scope="row">${I18n.t('stats.spending.total')}</th>${cells(total)}</tr>
+                </tfoot>
+            </table>
+        `;
+    },
+
+    renderLeaderboard: function(money) {
+        const board = this.getLeaderboard();
+        const list = board.leaders.length > 0
+            ? `<ol class="stats-leaderboard">${board.leaders.map(leader => `
+                <li><span>${Utils.escapeHtml(leader.name)}</span><strong>${money(leader.total)}</strong></li>
+            `).join('')}</ol>`
+            : `<p>${I18n.t('stats.leaderboardEmpty')}</p>`;
+        const note = board.anonymous > 0
+            ? `<p class="stats-note">${I18n.t('stats.anonymous', { count: I18n.formatNumber(board.anonymous) })}</p>`
+            : '';
+        return list + note;
+    },
+
+    // The last MONTHS calendar months, oldest first, including the current one
+    getMonthlyTotals: function(now = new Date()) {
+        const points = [];
+        for (let offset = this.MONTHS - 1; offset >= 0; offset--) {
+            const date = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+            const donations = AppState.donations.filter(d => d.year === date.getFullYear() && d.month === date.getMonth());
+            points.push({
+                label: I18n.formatDate(date, { month: 'short' }),
+                title: I18n.formatDate(date, { month: 'long', year: 'numeric' }),
+                value: CurrencyConverter.sum(donations)
+            });
+        }
+        return points;
+    },
+
+    // Groups donations by a field; a Map, since values such as "__proto__" are not safe object keys
+    groupBy: function(donations, field) {
+        const groups = new Map();
+        donations.forEach(d => {
+            if (!groups.has(d[field])) groups.set(d[field], []);
+            groups.get(d[field]).push(d);
+        });
+        return groups;
+    },
+
+    // Totals grouped by one donation field, largest first
+    getTotalsBy: function(field, labelFor) {
+        return Array.from(this.groupBy(AppState.donations, field))
+            .map(([key, donations]) => ({ label: labelFor(key), value: CurrencyConverter.sum(donations) }))
+            .sort((a, b) => b.value - a.value);
+    },
+
+    // Cumulative amount raised for every tool, in the tool's own currency
+    getGoalProgress: function() {
+        return Object.keys(ToolData).map(toolId => {
+            const tool = ToolData[toolId];
+            const progress = DonationTracker.getToolProgress(toolId);
+            return {
+                label: tool.name,
+                value: progress.raised,
+                goal: progress.goal,
+                text: `${Utils.formatCurrency(progress.raised, tool.currency)} / ${Utils.formatCurrency(progress.goal, tool.currency)}`
+            };
+        });
+    },
+
+    // Anonymous gifts count towards every total but are never ranked or named
+    // Contributor names are chosen by donors, so they are grouped in a Map (see groupBy)
+    getLeaderboard: function() {
+        const named = AppState.donations.filter(d => !this.isAnonymous(d.contributor));
+        const anonymous = AppState.donations.length - named.length;
+
+        const leaders = Array.from(this.groupBy(named, 'contributor'))
+            .map(([name, donations]) => ({ name: name, total: CurrencyConverter.sum(donations) }))
+            .sort((a, b) => b.total - a.total)
+            .slice(0, this.LEADERBOARD_SIZE);
+        return { leaders: leaders, anonymous: anonymous };
+    },
+
+    isAnonymous: function(contributor) {
+        return !contributor || String(contributor).trim().toLowerCase() === 'anonymous';
+    }
+};
+
+// In-page admin console for recording and correcting donations.
+// Opened with Ctrl+Shift+A or by visiting the #admin hash. Owner-only, so its
+// copy is not in the locale catalogs.
+const AdminConsole = {
+    MODAL_ID: 'adminConsole',
+    columns: [
+        { key: 'timestamp', label: 'Date' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'tool', label: 'Tool' },
+        { key: 'method', label: 'Method' },
+        { key: 'contributor', label: 'Contributor' }
+    ],
+    sort: { key: 'timestamp', direction: 'desc' },
+    editingId: null,
+    // Snapshot of the history taken before the last destructive action
+    lastAction: null,
+    // Parsed export file waiting for confirmation
+    importPreview: null,
+
+    initialized: false,
+
+    init: function() {
+        if (!this.initialized) {
+            this.initialized = true;
+            this.listeners = new AbortController();
+            this.bindEvents(this.listeners.signal);
+        }
+        this.checkHash();
     },
-    
-    showPaymentOptions: function(toolId) {
-        const tool = ToolData[toolId];
-        if (!tool) return;
-        
-        const modal = this.createModal(`toolPayment-${toolId}`, `Support ${tool.name}`, `
-            <div class="payment-options">
-                <div class="payment-option" onclick="window.open('https://ko-fi.com/n3twork', '')">
-                    <div class="payment-icon">☕</div>
-                    <div>
-                        <strong>Ko-fi</strong><br>
-                        <small>Quick and easy donation</small>
-                    </div>
-                </div>
-                
-                <div class="payment-option" onclick="window.open('https://github.com/sponsors/n3twork5', '')">
-                    <div class="payment-icon">⭐</div>
-                    <div>
-                        <strong>GitHub Sponsors</strong><br>
-                        <small>Monthly or one-time sponsorship</small>
+
+    destroy: function() {
+        if (this.listeners) this.listeners.abort();
+        this.initialized = false;
+    },
+
+    bindEvents: function(signal) {
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'a') {
+                e.preventDefault();
+                this.open();
+            }
+        }, { signal: signal });
+        window.addEventListener('hashchange', () => this.checkHash(), { signal: signal });
+    },
+
+    checkHash: function() {
+        if (window.location.hash !== '#admin') return;
+
+        // Drop the hash so visiting #admin again reopens the console
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        this.open();
+    },
+
+    isOpen: function() {
+        return !!document.getElementById(this.MODAL_ID);
+    },
+
+    open: function() {
+        this.editingId = null;
+        this.importPreview = null;
+
+        const modal = ToolModalManager.createModal(this.MODAL_ID, 'Admin Console', `
+            <div class="admin-console">
+                <form class="admin-form" id="adminDonationForm">
+                    <div class="admin-form-grid">
+                        <div class="form-group">
+                            <label for="adminAmount">Amount</label>
+                            <input type="number" id="adminAmount" name="amount" min="0" step="any" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="adminCurrency">Currency</label>
+                            <select id="adminCurrency" name="currency">${this.renderCurrencyOptions('USD')}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="adminTool">Tool</label>
+                            <select id="adminTool" name="tool">${this.renderToolOptions('General')}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="adminMethod">Method</label>
+                            <select id="adminMethod" name="method">${this.renderMethodOptions('Ko-fi')}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="adminContributor">Contributor</label>
+                            <input type="text" id="adminContributor" name="contributor" placeholder="Anonymous">
+                        </div>
                     </div>
-                </div>
-                
-                <div class="payment-option" onclick="showCryptoModal()">
-                    <div class="payment-icon">₿</div>
-                    <div>
-                        <strong>Cryptocurrency</strong><br>
-                        <small>Bitcoin, Ethereum, and more</small>
+                    <button type="submit" class="btn btn-primary btn-sm">Record Donation</button>
+                </form>
+                <div class="admin-import" id="adminImport">
+                    <h4>Import Export File</h4>
+                    <p>Drop a Ko-fi transactions CSV, a GitHub Sponsors CSV/JSON export or a BoostBond history export here, or choose one below.</p>
+                    <div class="admin-form-grid">
+                        <div class="form-group">
+                            <label for="adminImportFile">File</label>
+                            <input type="file" id="adminImportFile" accept=".csv,.json,text/csv,application/json">
+                        </div>
+                        <div class="form-group">
+                            <label for="adminImportSource">Source</label>
+                            <select id="adminImportSource">
+                                <option value="auto">Detect automatically</option>
+                                ${Object.keys(DonationImporter.formats).map(format => `<option value="${format}">${DonationImporter.formats[format].label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="adminImportTool">Credit to tool</label>
+                            <select id="adminImportTool">${this.renderToolOptions('General')}</select>
+                        </div>
                     </div>
+                    <div class="admin-import-preview"></div>
                 </div>
-                
-                <div class="payment-option" onclick="Utils.copyToClipboard('networkmandaean@gmail.com')">
-                    <div class="payment-icon">✉️</div>
-                    <div>
-                        <strong>Contact Direct</strong><br>
-                        <small>Click to copy email address</small>
-                    </div>
+                <div class="admin-history"></div>
+                <div class="admin-expenses">
+                    <h4>Expenses</h4>
+                    <form class="admin-form" id="adminExpenseForm">
+                        <div class="admin-form-grid">
+                            <div class="form-group">
+                                <label for="adminExpenseTool">Tool</label>
+                                <select id="adminExpenseTool" name="tool">${this.renderToolOptions(Object.keys(ToolData)[0], false)}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="adminExpenseVendor">Vendor</label>
+                                <input type="text" id="adminExpenseVendor" name="vendor" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="adminExpenseAmount">Amount</label>
+                                <input type="number" id="adminExpenseAmount" name="amount" min="0" step="any" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="adminExpenseCurrency">Currency</label>
+                                <select id="adminExpenseCurrency" name="currency">${this.renderCurrencyOptions('USD')}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="adminExpenseDate">Date</label>
+                                <input type="date" id="adminExpenseDate" name="date" value="${new Date().toISOString().slice(0, 10)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="adminExpenseStatus">Status</label>
+                                <select id="adminExpenseStatus" name="status">${this.renderStatusOptions('ordered')}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="adminExpenseReceipt">Receipt image (optional)</label>
+                                <input type="text" id="adminExpenseReceipt" name="receipt" placeholder="images/receipts/invoice.jpg">
+                                <small>Publish the image in images/receipts/ and enter its path here.</small>
+                            </div>
+                        </div>
+                        <button type="submit" class="btn btn-primary btn-sm">Record Expense</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="admin-expense-export">Export expenses.json</button>
+                    </form>
+                    <div class="admin-expense-list"></div>
                 </div>
             </div>
-            <p style="text-align: center; margin-top: 1rem; color: var(--text-muted); font-size: 0.9rem;">Choose your preferred payment method to support this tool</p>
         `);
-        
-        this.showModal(modal);
+
+        modal.classList.add('admin-modal');
+        this.bindModalEvents(modal);
+        this.refresh();
+        return ToolModalManager.showModal(modal);
     },
-    
-    createModal: function(id, title, content) {
-        // Remove existing modal if it exists
-        const existing = document.getElementById(id);
-        if (existing) existing.remove();
-        
-        const modal = document.createElement('div');
-        modal.id = id;
-        modal.className = 'modal';
-        modal.innerHTML = `
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h3>${title}</h3>
-                    <button class="close" onclick="ToolModalManager.hideModal('${id}')">&times;</button>
-                </div>
-                <div class="modal-body">
-                    ${content}
-                </div>
+
+    bindModalEvents: function(modal) {
+        modal.querySelector('#adminDonationForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const fields = e.target.elements;
+            const result = DonationTracker.addDonation({
+                amount: fields.amount.value,
+                currency: fields.currency.value,
+                tool: fields.tool.value,
+                method: fields.method.value,
+                contributor: fields.contributor.value
+            });
+            if (!result.valid) {
+                this.showErrors(result.errors);
+                return;
+            }
+            fields.amount.value = '';
+            fields.contributor.value = '';
+            this.refresh();
+        });
+
+        modal.querySelector('#adminExpenseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const fields = e.target.elements;
+            const result = ExpenseTracker.add({
+                tool: fields.tool.value,
+                vendor: fields.vendor.value,
+                amount: fields.amount.value,
+                currency: fields.currency.value,
+                date: fields.date.value,
+                status: fields.status.value,
+                receipt: fields.receipt.value
+            });
+            if (!result.valid) {
+                this.showErrors(result.errors);
+                return;
+            }
+            fields.vendor.value = '';
+            fields.amount.value = '';
+            fields.receipt.value = '';
+        });
+        modal.addEventListener('change', (e) => {
+            if (e.target.name === 'expenseStatus') ExpenseTracker.setStatus(e.target.dataset.id, e.target.value);
+        });
+
+        const importArea = modal.querySelector('#adminImport');
+        const fileInput = modal.querySelector('#adminImportFile');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.readImportFile(fileInput.files[0]);
+        });
+        importArea.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            importArea.classList.add('dragging');
+        });
+        importArea.addEventListener('dragleave', () => importArea.classList.remove('dragging'));
+        importArea.addEventListener('drop', (e) => {
+            e.preventDefault();
+            importArea.classList.remove('dragging');
+            if (e.dataTransfer.files[0]) this.readImportFile(e.dataTransfer.files[0]);
+        });
+    },
+
+    readImportFile: function(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const modal = document.getElementById(this.MODAL_ID);
+            if (!modal) return;
+
+            this.importPreview = DonationImporter.parse(
+                reader.result,
+                file.name,
+                modal.querySelector('#adminImportSource').value,
+                { tool: modal.querySelector('#adminImportTool').value }
+            );
+            this.importPreview.fileName = file.name;
+            this.renderImportPreview();
+        };
+        reader.onerror = () => Utils.showNotification(`Could not read ${file.name}`, 'error');
+        reader.readAsText(file);
+    },
+
+    renderImportPreview: function() {
+        const container = document.querySelector(`#${this.MODAL_ID} .admin-import-preview`);
+        if (!container) return;
+
+        const preview = this.importPreview;
+        if (!preview) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const source = preview.format ? DonationImporter.formats[preview.format].label : 'Unknown';
+        container.innerHTML = `
+            <p class="admin-import-summary">
+                <strong>${Utils.escapeHtml(preview.fileName)}</strong> (${Utils.escapeHtml(source)}):
+                ${preview.donations.length} new, ${preview.duplicates.length} already recorded, ${preview.errors.length} failed
+            </p>
+            ${preview.donations.length > 0 ? `
+                <table class="admin-table">
+                    <thead>
+                        <tr><th scope="col">Line</th><th scope="col">Date</th><th scope="col">Amount</th><th scope="col">Contributor</th><th scope="col">Transaction</th></tr>
+                    </thead>
+                    <tbody>
+                        ${preview.donations.map(row => `
+                            <tr class="admin-import-new">
+                                <td>${row.line}</td>
+                                <td>${new Date(row.donation.timestamp).toLocaleDateString()}</td>
+                                <td>${Utils.escapeHtml(CurrencyConverter.formatWithConversion(row.donation.amount, row.donation.currency))}</td>
+                                <td>${Utils.escapeHtml(row.donation.contributor)}</td>
+                                <td>${Utils.escapeHtml(row.donation.transactionId)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            ${preview.duplicates.length > 0 ? `
+                <p class="admin-import-skipped">Skipped duplicates on line(s): ${preview.duplicates.map(row => row.line).join(', ')}</p>
+            ` : ''}
+            ${preview.errors.length > 0 ? `
+                <ul class="admin-import-errors">
+                    ${preview.errors.map(error => `<li>${error.line !== null ? `Line ${error.line}: ` : ''}${Utils.escapeHtml(error.message)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            <div class="admin-actions">
+                ${preview.donations.length > 0 ? `<button type="button" class="btn btn-primary btn-sm" data-action="admin-import-commit">Import ${preview.donations.length} donation(s)</button>` : ''}
+                <button type="button" class="btn btn-secondary btn-sm" data-action="admin-import-cancel">Discard</button>
             </div>
         `;
-        
-        document.body.appendChild(modal);
-        return modal;
     },
-    
-    showModal: function(modal) {
-        modal.classList.add('show');
-        document.body.style.overflow = 'hidden';
-        
-        // Close on outside click
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                this.hideModal(modal.id);
+
+    commitImport: function() {
+        const preview = this.importPreview;
+        if (!preview || preview.donations.length === 0) return;
+
+        this.snapshot(`Imported ${preview.donations.length} donation(s) from ${preview.fileName}`);
+        const records = DonationTracker.importDonations(preview.donations.map(row => row.donation));
+        Utils.showNotification(`Imported ${records.length} donation(s)`, 'success');
+        this.clearImport();
+        this.refresh();
+    },
+
+    clearImport: function() {
+        this.importPreview = null;
+        const fileInput = document.querySelector(`#${this.MODAL_ID} #adminImportFile`);
+        if (fileInput) fileInput.value = '';
+        this.renderImportPreview();
+    },
+
+    refresh: function() {
+        const container = document.querySelector(`#${this.MODAL_ID} .admin-history`);
+        if (!container) return;
+
+        const history = this.getSortedHistory();
+        container.innerHTML = `
+            ${this.lastAction ? `
+                <div class="admin-undo">
+                    <span>${Utils.escapeHtml(this.lastAction.label)}</span>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="admin-undo">Undo</button>
+                </div>
+            ` : ''}
+            ${history.length > 0 ? `
+                <table class="admin-table">
+                    <thead>
+                        <tr>
+                            ${this.columns.map(column => this.renderHeader(column)).join('')}
+                            <th scope="col">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${history.map(d => (d.id === this.editingId ? this.renderEditRow(d) : this.renderRow(d))).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="admin-empty">No donations recorded yet.</p>'}
+        `;
+        this.refreshExpenses();
+    },
+
+    refreshExpenses: function() {
+        const container = document.querySelector(`#${this.MODAL_ID} .admin-expense-list`);
+        if (!container) return;
+
+        const expenses = ExpenseTracker.getAll();
+        container.innerHTML = expenses.length > 0 ? `
+            <table class="admin-table">
+                <thead>
+                    <tr><th scope="col">Date</th><th scope="col">Tool</th><th scope="col">Vendor</th><th scope="col">Amount</th><th scope="col">Status</th><th scope="col">Receipt</th><th scope="col">Actions</th></tr>
+                </thead>
+                <tbody>
+                    ${expenses.map(expense => {
+                        const id = Utils.escapeHtml(expense.id);
+                        return `
+                            <tr>
+                                <td>${Utils.escapeHtml(expense.date)}</td>
+                                <td>${Utils.escapeHtml(this.getToolName(expense.tool))}</td>
+                                <td>${Utils.escapeHtml(expense.vendor)}</td>
+                                <td>${Utils.escapeHtml(CurrencyConverter.formatWithConversion(expense.amount, expense.currency))}</td>
+                                <td><select name="expenseStatus" data-id="${id}" aria-label="Status">${this.renderStatusOptions(expense.status)}</select></td>
+                                <td>${expense.receipt ? Utils.escapeHtml(expense.receipt) : '-'}</td>
+                                <td class="admin-actions">
+                                    ${this.renderExpenseAction(expense.id)}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="admin-empty">No expenses recorded yet.</p>';
+    },
+
+    // Delete for unpublished entries, Revert for published ones with a local status change
+    renderExpenseAction: function(expenseId) {
+        const id = Utils.escapeHtml(expenseId);
+        if (ExpenseTracker.isLocal(expenseId)) {
+            return `<button type="button" class="btn btn-secondary btn-sm" data-action="admin-expense-delete" data-id="${id}">Delete</button>`;
+        }
+        if (ExpenseTracker.isOverridden(expenseId)) {
+            return `<button type="button" class="btn btn-secondary btn-sm" data-action="admin-expense-delete" data-id="${id}" title="Back to the published status">Revert</button>`;
+        }
+        return 'Published';
+    },
+
+    renderStatusOptions: function(selected) {
+        return ExpenseTracker.STATUSES.map(status => `
+            <option value="${status}"${status === selected ? ' selected' : ''}>${status}</option>
+        `).join('');
+    },
+
+    renderHeader: function(column) {
+        const active = this.sort.key === column.key;
+        const arrow = active ? (this.sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+        const ariaSort = active ? (this.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+
+        return `
+            <th scope="col" aria-sort="${ariaSort}">
+                <button type="button" class="admin-sort" data-action="admin-sort" data-key="${column.key}">${column.label}${arrow}</button>
+            </th>
+        `;
+    },
+
+    renderRow: function(donation) {
+        const id = Utils.escapeHtml(donation.id);
+
+        return `
+            <tr>
+                <td>${new Date(donation.timestamp).toLocaleDateString()}</td>
+                <td>${Utils.escapeHtml(CurrencyConverter.formatWithConversion(donation.amount, donation.currency))}</td>
+                <td>${Utils.escapeHtml(this.getToolName(donation.tool))}</td>
+                <td>${Utils.escapeHtml(donation.method)}</td>
+                <td>${Utils.escapeHtml(donation.contributor)}</td>
+                <td class="admin-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="admin-edit" data-id="${id}">Edit</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="admin-delete" data-id="${id}">Delete</button>
+                </td>
+            </tr>
+        `;
+    },
+
+    renderEditRow: function(donation) {
+        const id = Utils.escapeHtml(donation.id);
+
+        return `
+            <tr class="admin-editing">
+                <td>${new Date(donation.timestamp).toLocaleDateString()}</td>
+                <td>
+                    <input type="number" name="amount" min="0" step="any" value="${donation.amount}" aria-label="Amount">
+                    <select name="currency" aria-label="Currency">${this.renderCurrencyOptions(donation.currency)}</select>
+                </td>
+                <td><select name="tool" aria-label="Tool">${this.renderToolOptions(donation.tool)}</select></td>
+                <td><select name="method" aria-label="Method">${this.renderMethodOptions(donation.method)}</select></td>
+                <td><input type="text" name="contributor" value="${Utils.escapeHtml(donation.contributor)}" aria-label="Contributor"></td>
+                <td class="admin-actions">
+                    <button type="button" class="btn btn-primary btn-sm" data-action="admin-save" data-id="${id}">Save</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="admin-cancel">Cancel</button>
+                </td>
+            </tr>
+        `;
+    },
+
+    // Expenses are always for a specific tool, so they leave out General
+    renderToolOptions: function(selected, includeGeneral = true) {
+        return (includeGeneral ? ['General'] : []).concat(Object.keys(ToolData)).map(toolId => `
+            <option value="${toolId}"${toolId === selected ? ' selected' : ''}>${Utils.escapeHtml(this.getToolName(toolId))}</option>
+        `).join('');
+    },
+
+    renderMethodOptions: function(selected) {
+        // Keep a legacy method selectable so editing a row doesn't silently change it;
+        // DonationTracker.updateDonation accepts it as long as it stays unchanged
+        const supported = DonationValidator.METHODS;
+        const methods = supported.includes(selected) ? supported : supported.concat(selected);
+        return methods.map(method => `
+            <option value="${Utils.escapeHtml(method)}"${method === selected ? ' selected' : ''}>${Utils.escapeHtml(method)}</option>
+        `).join('');
+    },
+
+    renderCurrencyOptions: function(selected) {
+        return CurrencyConverter.getCurrencies().map(code => `
+            <option value="${code}"${code === selected ? ' selected' : ''}>${code}</option>
+        `).join('');
+    },
+
+    getToolName: function(toolId) {
+        return ToolData[toolId] ? ToolData[toolId].name : toolId;
+    },
+
+    getSortedHistory: function() {
+        const { key, direction } = this.sort;
+        const sign = direction === 'asc' ? 1 : -1;
+        const value = d => {
+            if (key === 'tool') return this.getToolName(d.tool);
+            // Compare amounts across currencies by their reporting-currency value
+            if (key === 'amount') return CurrencyConverter.convert(d.amount, d.currency) || 0;
+            return d[key];
+        };
+
+        return DonationTracker.getDonationHistory().slice().sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            if (typeof left === 'number' && typeof right === 'number') {
+                return (left - right) * sign;
             }
+            return String(left).localeCompare(String(right)) * sign;
         });
     },
-    
-    hideModal: function(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('show');
-            document.body.style.overflow = '';
-            setTimeout(() => modal.remove(), 300);
+
+    // Row being edited in place; null closes the editor
+    setEditing: function(id) {
+        this.editingId = id;
+        this.refresh();
+    },
+
+    toggleSort: function(key) {
+        if (this.sort.key === key) {
+            this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sort = { key: key, direction: 'asc' };
+        }
+        this.refresh();
+    },
+
+    saveEdit: function(id, row) {
+        const changes = {
+            amount: row.querySelector('[name="amount"]').value,
+            currency: row.querySelector('[name="currency"]').value,
+            tool: row.querySelector('[name="tool"]').value,
+            method: row.querySelector('[name="method"]').value,
+            contributor: row.querySelector('[name="contributor"]').value
+        };
+
+        const snapshot = this.createSnapshot('Donation edited');
+        const result = DonationTracker.updateDonation(id, changes);
+        if (!result.valid) {
+            this.showErrors(result.errors);
+            return;
         }
+
+        this.lastAction = snapshot;
+        this.editingId = null;
+        this.refresh();
+    },
+
+    showErrors: function(errors) {
+        Utils.showNotification(DonationValidator.describeErrors(errors), 'error');
+    },
+
+    deleteDonation: function(id) {
+        this.snapshot('Donation deleted');
+        DonationTracker.deleteDonation(id);
+        if (this.editingId === id) this.editingId = null;
+        this.refresh();
+
+        // Only undo from the toast while this deletion is still the last action
+        const action = this.lastAction;
+        Utils.showNotification('Donation deleted', 'info', {
+            duration: 8000,
+            actions: [{ label: 'Undo', onClick: () => { if (this.lastAction === action) this.undo(); } }]
+        });
+    },
+
+    // Remember the history before a destructive or bulk action so it can be undone
+    snapshot: function(label) {
+        this.lastAction = this.createSnapshot(label);
+    },
+
+    createSnapshot: function(label) {
+        return {
+            label: label,
+            donations: AppState.donations.map(d => Object.assign({}, d))
+        };
+    },
+
+    undo: function() {
+        if (!this.lastAction) return;
+
+        DonationTracker.restoreDonations(this.lastAction.donations);
+        Utils.showNotification(`Undone: ${this.lastAction.label}`, 'info');
+        this.lastAction = null;
+        this.editingId = null;
+        this.refresh();
     }
 };
 
-// Global functions for HTML onclick handlers
-window.showToolDetails = function(toolId) {
-    ToolModalManager.showToolDetails(toolId);
-};
+// Application lifecycle.
+// Modules register with the names of the modules their init relies on. boot()
+// runs once, in dependency order, and isolates failures: a module whose init
+// throws is logged and skipped together with its dependents, and the rest still
+// start. destroy() stops the started modules in reverse order.
+const App = {
+    modules: {},
+    status: {}, // name -> 'registered' | 'started' | 'failed' | 'skipped'
+    started: [],
+    booted: false,
 
-window.showPaymentOptions = function(toolId) {
-    ToolModalManager.showPaymentOptions(toolId);
-};
+    register: function(name, module, dependencies = []) {
+        if (this.modules[name]) throw new Error(`Module already registered: ${name}`);
+        this.modules[name] = { module: module, dependencies: dependencies };
+        this.status[name] = 'registered';
+        return module;
+    },
 
-window.showCryptoModal = function() {
-    const modal = ToolModalManager.createModal('cryptoModal', 'Cryptocurrency Donations', `
-        <div class="payment-options">
-            <div class="payment-option" onclick="Utils.copyToClipboard('bc1qhg9ep5m0xajkt4xn3l8szlu44hx9e9v08hudmq')">
-                <div class="payment-icon crypto-icon">
-                    <img src="https://cdn.jsdelivr.net/gh/atomiclabs/cryptocurrency-icons@1a63530be6e374711a8554f31b17e4cb92c25fa5/svg/color/btc.svg" alt="Bitcoin" class="crypto-logo">
-                </div>
-                <div>
-                    <strong>Bitcoin (BTC)</strong><br>
-                    <small>bc1qhg9ep5m0xajkt4xn3l8szlu44hx9e9v08hudmq</small>
-                </div>
-            </div>
-            
-            <div class="payment-option" onclick="Utils.copyToClipboard('0x7c96c8b0664Fe92EF5E734711DFA12D527d975C2')">
-                <div class="payment-icon crypto-icon">
-                    <img src="https://cdn.jsdelivr.net/gh/atomiclabs/cryptocurrency-icons@1a63530be6e374711a8554f31b17e4cb92c25fa5/svg/color/eth.svg" alt="Ethereum" class="crypto-logo">
-                </div>
-                <div>
-                    <strong>Ethereum (ETH)</strong><br>
-                    <small>0x7c96c8b0664Fe92EF5E734711DFA12D527d975C2</small>
-                </div>
-            </div>
-            
-            <div class="payment-option" onclick="Utils.copyToClipboard('0x7c96c8b0664Fe92EF5E734711DFA12D527d975C2')">
-                <div class="payment-icon crypto-icon">
-                    <img src="https://cdn.jsdelivr.net/gh/atomiclabs/cryptocurrency-icons@1a63530be6e374711a8554f31b17e4cb92c25fa5/svg/color/bnb.svg" alt="Binance" class="crypto-logo">
-                </div>
-                <div>
-                    <strong>Binance (BNB)</strong><br>
-                    <small>0x7c96c8b0664Fe92EF5E734711DFA12D527d975C2</small>
-                </div>
-            </div>
-            
-            <div class="payment-option" onclick="Utils.copyToClipboard('ltc1q7ypp6f4n258rm00a6kkhscuq2xd27v26wkz0cr')">
-                <div class="payment-icon crypto-icon">
-                    <img src="https://cdn.jsdelivr.net/gh/atomiclabs/cryptocurrency-icons@1a63530be6e374711a8554f31b17e4cb92c25fa5/svg/color/ltc.svg" alt="Litecoin" class="crypto-logo">
-                </div>
-                <div>
-                    <strong>Litecoin (LTC)</strong><br>
-                    <small>ltc1q7ypp6f4n258rm00a6kkhscuq2xd27v26wkz0cr</small>
-                </div>
-            </div>
-        </div>
-        <p style="text-align: center; margin-top: 1rem; color: var(--text-muted); font-size: 0.9rem;">Click on any cryptocurrency to copy its address to your clipboard</p>
-    `);
-    
-    ToolModalManager.showModal(modal);
-};
+    // Depth-first, so registration order is kept wherever dependencies allow
+    resolveOrder: function() {
+        const order = [];
+        const visiting = new Set();
+        const visit = (name, path) => {
+            if (order.includes(name)) return;
+            if (!this.modules[name]) throw new Error(`Unknown module "${name}" required by ${path[path.length - 1]}`);
+            if (visiting.has(name)) throw new Error(`Circular module dependency: ${path.concat(name).join(' -> ')}`);
 
-// Global donation functions (for manual management)
-window.addDonation = function(amount, tool, method, contributor) {
-    DonationTracker.manualAddDonation(amount, tool, method, contributor);
-};
+            visiting.add(name);
+            this.modules[name].dependencies.forEach(dependency => visit(dependency, path.concat(name)));
+            visiting.delete(name);
+            order.push(name);
+        };
+        Object.keys(this.modules).forEach(name => visit(name, []));
+        return order;
+    },
 
-window.viewStats = function() {
-    const stats = AppState.stats;
-    const history = DonationTracker.getDonationHistory().slice(0, 5); // Last 5 donations
-    
-    const modal = ToolModalManager.createModal('statsModal', 'Donation Statistics', `
-        <div class="legal-content">
-            <h4>📊 Current Stats</h4>
-            <ul>
-                <li><strong>This Month:</strong> $${stats.monthlyRaised.toFixed(0)}</li>
-                <li><strong>Total Raised:</strong> $${stats.totalRaised.toFixed(0)}</li>
-                <li><strong>Tools Supported:</strong> ${stats.toolsSupported}</li>
-                <li><strong>Contributors:</strong> ${stats.contributors}</li>
-            </ul>
-            
-            <h4>🕐 Recent Donations</h4>
-            ${history.length > 0 ? 
-                '<ul>' + history.map(d => 
-                    `<li><strong>$${d.amount}</strong> for ${d.tool} via ${d.method} by ${d.contributor}</li>`
-                ).join('') + '</ul>' : 
-                '<p>No donations received yet. When supporters donate, their contributions will appear here.</p>'
-            }
-        </div>
-    `);
-    
-    ToolModalManager.showModal(modal);
-};
+    // Returns false when the app is already running
+    boot: function() {
+        if (this.booted) return false;
+        this.booted = true;
+
+        this.resolveOrder().forEach(name => {
+            const entry = this.modules[name];
+            const blocked = entry.dependencies.find(dependency => this.status[dependency] !== 'started');
+            if (blocked) {
+                this.status[name] = 'skipped';
+                console.error(`Skipped ${name}: ${blocked} did not start`);
+                return;
+            }
+            try {
+                entry.module.init();
+                this.status[name] = 'started';
+                this.started.push(name);
+            } catch (error) {
+                this.status[name] = 'failed';
+                console.error(`Failed to start ${name}:`, error);
+            }
+        });
+        return true;
+    },
 
-// Sample donation function removed - donations now only added when actually received
+    destroy: function() {
+        this.started.slice().reverse().forEach(name => {
+            const module = this.modules[name].module;
+            try {
+                if (typeof module.destroy === 'function') module.destroy();
+            } catch (error) {
+                console.error(`Failed to stop ${name}:`, error);
+            }
+            this.status[name] = 'registered';
+        });
+        this.started = [];
+        this.booted = false;
+    },
 
-window.resetStats = function() {
-    DonationTracker.resetStats();
+    // Boot and greet the visitor; later calls do nothing
+    start: function() {
+        if (!this.boot()) return;
+        console.log('🚀 n3twork Donation Site - Simple Version Loaded');
+        if (this.status.I18n === 'started') {
+            Utils.showNotification(I18n.t('notify.welcome'), 'success');
+        }
+    }
 };
 
-// Legal modals
-window.showPrivacyModal = function() {
-    const modal = ToolModalManager.createModal('privacyModal', 'Privacy Policy', `
-        <div class="legal-content">
-            <h4>What We Collect</h4>
-            <p>We collect minimal data: payment info (via Ko-fi/GitHub), your email when you contact us, and basic technical data for security.</p>
+App.register('CspMonitor', CspMonitor);
+App.register('Actions', Actions);
+App.register('I18n', I18n);
+App.register('ThemeManager', ThemeManager, ['I18n']);
+App.register('ProfileManager', ProfileManager, ['I18n', 'ThemeManager']);
+App.register('NavigationManager', NavigationManager, ['ThemeManager']);
+App.register('CurrencyConverter', CurrencyConverter);
+App.register('ToolModalManager', ToolModalManager);
+App.register('ToolGrid', ToolGrid, ['I18n', 'CurrencyConverter']);
+App.register('CryptoPayment', CryptoPayment, ['I18n', 'ToolModalManager']);
+App.register('DonationTracker', DonationTracker, ['CurrencyConverter', 'ToolGrid']);
+App.register('AdminConsole', AdminConsole, ['DonationTracker', 'ToolModalManager']);
+App.register('ExpenseTracker', ExpenseTracker, ['I18n', 'DonationTracker']);
+App.register('OfflineQueue', OfflineQueue, ['I18n', 'DonationTracker']);
+App.register('LedgerVerifier', LedgerVerifier, ['I18n', 'DonationTracker']);
+App.register('ServiceWorkerManager', ServiceWorkerManager, ['I18n']);
+App.register('Router', Router, ['I18n', 'ToolModalManager', 'CryptoPayment', 'DonationTracker']);
 
-            <h4>How We Use It</h4>
-            <p>To process donations, provide support, and keep the site secure. We don't sell your data.</p>
+// Handlers for the data-action attributes in index.html and the rendered markup
+Actions.define({
+    'settings-toggle': () => {
+        const panel = document.getElementById('settingsPanel');
+        if (panel) ThemeManager.togglePanel(panel.hidden);
+    },
+    'menu-toggle': () => NavigationManager.toggleMobileMenu(),
+    'profile-next': (element, e) => {
+        e.preventDefault();
+        ProfileManager.step(1);
+    },
+    'profile-pause': () => ProfileManager.setPaused(!ProfileManager.paused),
+    'tool-filter': element => ToolGrid.toggleFilter(element.dataset.filter, element.dataset.value),
+    'tool-filters-clear': () => ToolGrid.clearFilters(),
+    'modal-close': element => ToolModalManager.closeFrom(element),
+    'pay-crypto': element => Router.navigate(`/tools/${element.dataset.toolId}/crypto`),
+    'copy-email': () => Utils.copyToClipboard('networkmandaean@gmail.com'),
+    'crypto-select': element => CryptoPayment.select(element.dataset.symbol),
+    'crypto-copy': element => CryptoPayment.copy(element.dataset.copy),
+    'export': element => DonationExporter.export(element.dataset.format),
+    'notification-action': element => NotificationCenter.runAction(element),
+    'notification-dismiss': element => {
+        const toast = NotificationCenter.findToast(element);
+        if (toast) NotificationCenter.dismiss(toast.id);
+    },
+    'admin-sort': element => AdminConsole.toggleSort(element.dataset.key),
+    'admin-edit': element => AdminConsole.setEditing(element.dataset.id),
+    'admin-cancel': () => AdminConsole.setEditing(null),
+    'admin-save': element => AdminConsole.saveEdit(element.dataset.id, element.closest('tr')),
+    'admin-delete': element => AdminConsole.deleteDonation(element.dataset.id),
+    'admin-undo': () => AdminConsole.undo(),
+    'admin-import-commit': () => AdminConsole.commitImport(),
+    'admin-import-cancel': () => AdminConsole.clearImport(),
+    'admin-expense-delete': element => ExpenseTracker.remove(element.dataset.id),
+    'admin-expense-export': () => ExpenseTracker.export()
+});
 
-            <h4>Your Rights</h4>
-            <p>You can request access, corrections, or deletion of your data.</p>
+// The page's only global. Links and the router open dialogs through it, and it
+// doubles as the console API, e.g. BoostBond.addDonation(25, 'hackrfpro', 'Ko-fi', 'Alice')
+const BoostBond = {
+    app: App,
 
-            <h4>Contact</h4>
-            <p>Questions? <a href="mailto:networkmandaean@gmail.com"><strong>networkmandaean@gmail.com</strong></a></p>
-        </div>
-    `);
-    
-    ToolModalManager.showModal(modal);
-};
+    showToolDetails: function(toolId) {
+        return ToolModalManager.showToolDetails(toolId);
+    },
 
-window.showTermsModal = function() {
-    const modal = ToolModalManager.createModal('termsModal', 'Terms of Service', `
-        <div class="legal-content">
-            <h4>The Basics</h4>
-            <p>This site helps fund cybersecurity tools. By using it, you agree to these simple terms.</p>
+    showPaymentOptions: function(toolId) {
+        return ToolModalManager.showPaymentOptions(toolId);
+    },
 
-            <h4>Donations</h4>
-            <p>All donations are voluntary and non-refundable. Funds go to the tools described. You handle your own taxes.</p>
+    showCryptoModal: function(toolId) {
+        return CryptoPayment.show(toolId);
+    },
 
-            <h4>Rules</h4>
-            <p><strong>Do:</strong> Be honest, use legally<br>
-            <strong>Don't:</strong> Fraud, hack, harass</p>
+    addDonation: function(amount, tool, method, contributor, currency) {
+        const result = DonationTracker.manualAddDonation(amount, tool, method, contributor, currency);
+        if (!result.valid) {
+            Utils.showNotification(I18n.t('notify.donationRejected', { errors: DonationValidator.describeErrors(result.errors) }), 'error');
+        }
+        return result;
+    },
 
-            <h4>No Warranties</h4>
-            <p>Site provided "as is". We're not liable for issues beyond our control.</p>
+    viewStats: function() {
+        return StatsDashboard.show();
+    },
 
-            <h4>Questions?</h4>
-            <p><a href="mailto:networkmandaean@gmail.com"><strong>networkmandaean@gmail.com</strong></a></p>
-        </div>
-    `);
-    
-    ToolModalManager.showModal(modal);
-};
+    resetStats: function() {
+        DonationTracker.resetStats();
+    },
 
-window.showSecurityModal = function() {
-    const modal = ToolModalManager.createModal('securityModal', 'Security Information', `
-        <div class="legal-content">
-            <h4>🔒 We Keep You Safe</h4>
-            <p>Your data is encrypted (SSL/HTTPS), stored securely, and we collect minimal information.</p>
+    // e.g. BoostBond.checkCsp().then(result => console.table(result.problems))
+    checkCsp: function() {
+        return CspMonitor.check();
+    },
 
-            <h4>🛡️ Payment Security</h4>
-            <p>Ko-fi, GitHub, and crypto networks handle payments. We never store your card info.</p>
+    // Legal modals
+    showPrivacyModal: function() {
+        return ToolModalManager.open('privacyModal', I18n.t('legal.privacy.title'), `
+            <div class="legal-content">${I18n.t('legal.privacy.body')}</div>
+        `, () => this.showPrivacyModal());
+    },
 
-            <h4>🔐 Site Protection</h4>
-            <p>Multi-factor auth, attack prevention, 24/7 monitoring, and regular security updates.</p>
+    showTermsModal: function() {
+        return ToolModalManager.open('termsModal', I18n.t('legal.terms.title'), `
+            <div class="legal-content">${I18n.t('legal.terms.body')}</div>
+        `, () => this.showTermsModal());
+    },
 
-            <h4>📧 Found a Bug?</h4>
-            <p>Report security issues: <a href="mailto:networkmandaean@gmail.com?subject=[SECURITY] Vulnerability Report"><strong>networkmandaean@gmail.com</strong></a></p>
-            <p>We respond within 24 hours.</p>
-        </div>
-    `);
-    
-    ToolModalManager.showModal(modal);
+    showSecurityModal: function() {
+        return ToolModalManager.open('securityModal', I18n.t('legal.security.title'), `
+            <div class="legal-content">${I18n.t('legal.security.body')}</div>
+        `, () => this.showSecurityModal());
+    }
 };
 
-// Initialize when page loads - works in both server and file:// modes
-function initializeApp() {
-    console.log('🚀 n3twork Donation Site - Simple Version Loaded');
-    
-    try {
-        // Initialize managers
-        ThemeManager.init();
-        ProfileManager.init();
-        NavigationManager.init();
-        DonationTracker.init();
-        
-        // Welcome message
-        Utils.showNotification('Welcome! Click profile pictures to shuffle 🎲', 'success');
-        
-        // Close modals on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                const openModal = document.querySelector('.modal.show');
-                if (openModal) {
-                    ToolModalManager.hideModal(openModal.id);
-                }
-            }
-        });
-    } catch (error) {
-        console.error('Initialization error:', error);
-        // Fallback initialization
-        if (typeof ThemeManager !== 'undefined') ThemeManager.init();
-        if (typeof ProfileManager !== 'undefined') ProfileManager.init();
-        if (typeof DonationTracker !== 'undefined') DonationTracker.init();
-    }
-}
+window.BoostBond = BoostBond;
 
-// Multiple initialization methods to ensure it works in all environments
+// Scripts load at the end of <body>, so the DOM is usually ready already
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeApp);
+    document.addEventListener('DOMContentLoaded', () => App.start(), { once: true });
 } else {
-    // Document already loaded
-    initializeApp();
+    App.start();
 }
-
-// Backup initialization for file:// protocol
-window.addEventListener('load', function() {
-    // Small delay to ensure all resources are loaded
-    setTimeout(function() {
-        if (typeof AppState === 'undefined' || !AppState.initialized) {
-            initializeApp();
-            if (typeof AppState !== 'undefined') AppState.initialized = true;
-        }
-    }, 100);
-});
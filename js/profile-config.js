@@ -0,0 +1,27 @@
+/**
+ * N3twork Donation Site - Profile Gallery
+ * Pictures shown in the header and About section, read by ProfileManager in
+ * js/main.js. Alt text here is the English copy; catalogs may override it by id
+ * in their gallery block.
+ */
+
+'use strict';
+
+const ProfileConfig = {
+    // How clicks, swipes and auto-rotation pick the next picture:
+    // 'sequential', 'random', or 'time-of-day' (the day split evenly across the pictures)
+    rotation: 'sequential',
+
+    // Seconds between automatic changes; 0 turns auto-rotation and its pause control off
+    autoRotateSeconds: 0,
+
+    // Shown when none of the pictures below can be loaded
+    fallback: { src: 'images/donation.png', alt: 'n3twork' },
+
+    images: [
+        { id: 'profile1', src: 'images/profile1.jpg', alt: 'Obed Prince Kofi Yesu laughing in a grey flag T-shirt against a black and white patterned wall' },
+        { id: 'profile2', src: 'images/profile2.jpg', alt: 'Obed Prince Kofi Yesu smiling in a grey flag T-shirt' },
+        { id: 'profile3', src: 'images/profile3.jpg', alt: 'Obed Prince Kofi Yesu in a blue T-shirt making a peace sign beside a young child' },
+        { id: 'profile4', src: 'images/profile4.jpg', alt: 'Obed Prince Kofi Yesu standing in a grey T-shirt and jeans against a patterned wall' }
+    ]
+};
@@ -0,0 +1,357 @@
+/**
+ * N3twork Donation Site - QR Code Generator
+ * Encodes payment URIs for the crypto modal without a third-party library or
+ * CDN. Byte mode only, versions 1-40, error correction levels L and M.
+ */
+
+'use strict';
+
+const QRCode = {
+    // Indexed by version; entry 0 is unused
+    ECC_CODEWORDS_PER_BLOCK: {
+        L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+    },
+    ERROR_CORRECTION_BLOCKS: {
+        L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+    },
+    FORMAT_BITS: { L: 1, M: 0 },
+
+    // Returns { size, modules } where modules[y][x] is true for a dark module
+    encode: function(text, ecl = 'M') {
+        if (!this.FORMAT_BITS.hasOwnProperty(ecl)) {
+            throw new Error(`Unsupported error correction level: ${ecl}`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(text));
+        let version = 1;
+        while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > this.getDataCodewords(version, ecl) * 8) {
+            version++;
+        }
+        if (version > 40) throw new Error('Text is too long for a QR code');
+
+        const data = this.buildDataCodewords(bytes, version, ecl);
+        const codewords = this.addErrorCorrection(data, version, ecl);
+        const size = version * 4 + 17;
+        const grid = {
+            size: size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+
+        this.drawFunctionPatterns(grid, version);
+        this.drawCodewords(grid, codewords);
+
+        // Keep the mask with the lowest penalty score
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(grid, mask);
+            this.drawFormatBits(grid, ecl, mask);
+            const penalty = this.getPenalty(grid.modules);
+            if (!best || penalty < best.penalty) {
+                best = { mask: mask, penalty: penalty };
+            }
+            this.applyMask(grid, mask); // XOR again to undo
+        }
+        this.applyMask(grid, best.mask);
+        this.drawFormatBits(grid, ecl, best.mask);
+
+        return { size: size, modules: grid.modules };
+    },
+
+    // Render as an inline SVG string with a light quiet zone around the code
+    toSvg: function(text, options = {}) {
+        const qr = this.encode(text, options.ecl || 'M');
+        const border = options.border === undefined ? 4 : options.border;
+        const dimension = qr.size + border * 2;
+        const path = [];
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + border} ${y + border}h1v1h-1z`);
+        }));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges"${options.label ? ` role="img" aria-label="${options.label}"` : ''}>` +
+            `<rect width="100%" height="100%" fill="#ffffff"/>` +
+            `<path d="${path.join('')}" fill="#000000"/></svg>`;
+    },
+
+    getRawDataModules: function(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignCount - 10) * alignCount - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    getDataCodewords: function(version, ecl) {
+        return Math.floor(this.getRawDataModules(version) / 8) -
+            this.ECC_CODEWORDS_PER_BLOCK[ecl][version] * this.ERROR_CORRECTION_BLOCKS[ecl][version];
+    },
+
+    buildDataCodewords: function(bytes, version, ecl) {
+        const capacity = this.getDataCodewords(version, ecl) * 8;
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4); // byte mode
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+        append(0, Math.min(4, capacity - bits.length)); // terminator
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    },
+
+    // Split into blocks, append Reed-Solomon codewords and interleave
+    addErrorCorrection: function(data, version, ecl) {
+        const blockCount = this.ERROR_CORRECTION_BLOCKS[ecl][version];
+        const eccLength = this.ECC_CODEWORDS_PER_BLOCK[ecl][version];
+        const rawCodewords = Math.floor(this.getRawDataModules(version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = this.getGenerator(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = this.getRemainder(block, divisor);
+            if (i < shortBlockCount) block.push(0); // placeholder, skipped below
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    },
+
+    multiply: function(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    getGenerator: function(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    getRemainder: function(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    setFunctionModule: function(grid, x, y, dark) {
+        grid.modules[y][x] = dark;
+        grid.reserved[y][x] = true;
+    },
+
+    drawFunctionPatterns: function(grid, version) {
+        const size = grid.size;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(grid, 6, i, i % 2 === 0);
+            this.setFunctionModule(grid, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(grid, x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = this.getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            // Skip the three corners occupied by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format areas; drawFormatBits fills them in per mask
+        this.drawFormatBits(grid, 'M', 0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(grid, a, b, dark);
+                this.setFunctionModule(grid, b, a, dark);
+            }
+        }
+    },
+
+    getAlignmentPositions: function(version) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = version * 4 + 10; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    },
+
+    drawFormatBits: function(grid, ecl, mask) {
+        const size = grid.size;
+        const data = (this.FORMAT_BITS[ecl] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(grid, 8, i, bit(i));
+        this.setFunctionModule(grid, 8, 7, bit(6));
+        this.setFunctionModule(grid, 8, 8, bit(7));
+        this.setFunctionModule(grid, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(grid, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(grid, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(grid, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(grid, 8, size - 8, true); // always dark
+    },
+
+    // Zigzag through the two-module columns from the bottom-right corner
+    drawCodewords: function(grid, codewords) {
+        const size = grid.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing pattern
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!grid.reserved[y][x] && i < codewords.length * 8) {
+                        grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    applyMask: function(grid, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        for (let y = 0; y < grid.size; y++) {
+            for (let x = 0; x < grid.size; x++) {
+                if (!grid.reserved[y][x] && conditions[mask](x, y)) {
+                    grid.modules[y][x] = !grid.modules[y][x];
+                }
+            }
+        }
+    },
+
+    // Penalty rules from ISO/IEC 18004 section 7.8.3
+    getPenalty: function(modules) {
+        const size = modules.length;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        const finderLike = [[true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]];
+
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (y + 1 < size && x + 1 < size) {
+                    const colour = modules[y][x];
+                    if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRCode;
+}
@@ -0,0 +1,29 @@
+/**
+ * N3twork Donation Site - Exchange Rates
+ * The rate table CurrencyConverter in js/main.js converts with: the value of one
+ * unit of each currency in the base currency. Loaded as a script rather than
+ * fetched, so conversions also work in file:// mode. Update the prices and the
+ * date when publishing new reports.
+ */
+
+'use strict';
+
+const RatesConfig = {
+    base: 'USD',
+    updated: '2026-10-01',
+    currencies: {
+        USD: { name: 'US Dollar', price: 1, decimals: 2 },
+        EUR: { name: 'Euro', price: 1.08, decimals: 2 },
+        GBP: { name: 'British Pound', price: 1.27, decimals: 2 },
+        GHS: { name: 'Ghanaian Cedi', price: 0.085, decimals: 2 },
+        XOF: { name: 'West African CFA Franc', price: 0.00165, decimals: 0 },
+        BTC: { name: 'Bitcoin', price: 108000, decimals: 8, crypto: true },
+        ETH: { name: 'Ethereum', price: 3900, decimals: 8, crypto: true },
+        BNB: { name: 'BNB', price: 1100, decimals: 8, crypto: true },
+        LTC: { name: 'Litecoin', price: 95, decimals: 8, crypto: true }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RatesConfig;
+}
@@ -0,0 +1,53 @@
+/**
+ * N3twork Donation Site - Theme and Motion Preferences
+ * Loaded synchronously in <head> so the saved theme is on <html> before the
+ * first paint. ThemeManager in js/main.js reuses it for the settings panel.
+ */
+
+'use strict';
+
+const ThemePreference = {
+    THEMES: ['system', 'light', 'dark', 'high-contrast'],
+    MOTIONS: ['system', 'reduced', 'full'],
+    QUERIES: {
+        dark: '(prefers-color-scheme: dark)',
+        contrast: '(prefers-contrast: more)',
+        reducedMotion: '(prefers-reduced-motion: reduce)'
+    },
+
+    // Saved settings; anything unknown (or blocked storage) means "follow the system"
+    getSetting: function(name) {
+        const allowed = name === 'motion' ? this.MOTIONS : this.THEMES;
+        let value = null;
+        try {
+            value = localStorage.getItem(name);
+        } catch (e) {
+            // Storage blocked (file:// in some browsers); keep the default
+        }
+        return allowed.includes(value) ? value : 'system';
+    },
+
+    matches: function(query) {
+        return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+    },
+
+    // Map a setting to the data-theme value the stylesheet knows
+    resolveTheme: function(setting) {
+        if (setting !== 'system') return setting;
+        if (this.matches(this.QUERIES.contrast)) return 'high-contrast';
+        return this.matches(this.QUERIES.dark) ? 'dark' : 'light';
+    },
+
+    resolveMotion: function(setting) {
+        if (setting !== 'system') return setting;
+        return this.matches(this.QUERIES.reducedMotion) ? 'reduced' : 'full';
+    },
+
+    apply: function(theme, motion) {
+        const root = document.documentElement;
+        root.setAttribute('data-theme', this.resolveTheme(theme));
+        root.setAttribute('data-motion', this.resolveMotion(motion));
+    }
+};
+
+ThemePreference.apply(ThemePreference.getSetting('theme'), ThemePreference.getSetting('motion'));
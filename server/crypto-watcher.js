@@ -0,0 +1,198 @@
+/**
+ * N3twork Donation Site - Crypto Payment Watcher
+ * Polls chain data for payments to the addresses in js/crypto-config.js and
+ * records each one as a donation once it has enough confirmations. The tx hash
+ * is the idempotency key, so restarts and overlapping polls never double count.
+ *
+ * Chain data comes from adapters with a single method:
+ *   getIncomingTransactions(address) -> Promise<[{ hash, amount, confirmations, timestamp }]>
+ * where amount is in whole coins (e.g. 0.0015 BTC). Two are included:
+ *   createEsploraAdapter   Esplora REST API (blockstream.info, mempool.space, litecoinspace.org)
+ *   createEtherscanAdapter Etherscan-style API (etherscan.io, bscscan.com)
+ * server/mock-explorer.js serves both APIs locally for offline testing; see
+ * test/crypto-watcher.test.js.
+ *
+ * Requires Node 18+ for the global fetch.
+ */
+
+'use strict';
+
+function getJson(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${url} answered HTTP ${response.status}`);
+        return response.json();
+    });
+}
+
+// "123450000" satoshis with 8 decimals -> 1.2345, without going through a lossy float first
+function fromBaseUnits(value, decimals) {
+    const digits = BigInt(value).toString().padStart(decimals + 1, '0');
+    return Number(`${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`);
+}
+
+function createEsploraAdapter(options) {
+    const baseUrl = options.baseUrl.replace(/\/$/, '');
+    const decimals = options.decimals || 8;
+
+    return {
+        getIncomingTransactions: function(address) {
+            return Promise.all([
+                getJson(`${baseUrl}/address/${address}/txs`),
+                getJson(`${baseUrl}/blocks/tip/height`)
+            ]).then(([txs, tipHeight]) => txs
+                // Payments we sent (or our own change) spend from the address; only count gifts to it
+                .filter(tx => !tx.vin.some(input => input.prevout && input.prevout.scriptpubkey_address === address))
+                .map(tx => {
+                    const received = tx.vout
+                        .filter(output => output.scriptpubkey_address === address)
+                        .reduce((sum, output) => sum + BigInt(output.value), BigInt(0));
+                    const confirmed = tx.status && tx.status.confirmed;
+
+                    return {
+                        hash: tx.txid,
+                        amount: fromBaseUnits(received, decimals),
+                        confirmations: confirmed ? tipHeight - tx.status.block_height + 1 : 0,
+                        timestamp: confirmed ? new Date(tx.status.block_time * 1000).toISOString() : null
+                    };
+                })
+                .filter(tx => tx.amount > 0));
+        }
+    };
+}
+
+function createEtherscanAdapter(options) {
+    const decimals = options.decimals || 18;
+
+    return {
+        getIncomingTransactions: function(address) {
+            const url = new URL(options.baseUrl);
+            url.searchParams.set('module', 'account');
+            url.searchParams.set('action', 'txlist');
+            url.searchParams.set('address', address);
+            url.searchParams.set('sort', 'desc');
+            if (options.chainId) url.searchParams.set('chainid', options.chainId);
+            if (options.apiKey) url.searchParams.set('apikey', options.apiKey);
+
+            return getJson(url.toString()).then(body => {
+                // Etherscan reports "No transactions found" as status 0 with an empty result
+                if (!Array.isArray(body.result)) throw new Error(`Explorer error: ${body.message || body.result}`);
+
+                return body.result
+                    .filter(tx => String(tx.to).toLowerCase() === address.toLowerCase() && tx.isError === '0')
+                    .map(tx => ({
+                        hash: tx.hash,
+                        amount: fromBaseUnits(tx.value, decimals),
+                        confirmations: Number(tx.confirmations) || 0,
+                        timestamp: new Date(Number(tx.timeStamp) * 1000).toISOString()
+                    }))
+                    .filter(tx => tx.amount > 0);
+            });
+        }
+    };
+}
+
+// options.coins:    { BTC: { address, confirmations }, ... } (CryptoConfig shape)
+// options.adapters: { BTC: adapter, ... }; coins without an adapter are not watched
+// options.store:    donation store from server/donation-server.js ({ has, add })
+function createCryptoWatcher(options) {
+    const settings = Object.assign({
+        intervalMs: 60000,
+        // Overrides every coin's own confirmation count when set
+        confirmations: null,
+        onRecorded: () => {},
+        onError: (symbol, error) => console.warn(`Crypto watcher: ${symbol} poll failed:`, error.message)
+    }, options);
+
+    let timer = null;
+    let polling = null;
+    // hash -> { symbol, confirmations, required } for payments still waiting for confirmations
+    const pending = new Map();
+
+    const requiredConfirmations = symbol => settings.confirmations || settings.coins[symbol].confirmations || 1;
+
+    const toDonation = (symbol, tx) => {
+        const date = tx.timestamp ? new Date(tx.timestamp) : new Date();
+        return {
+            id: `crypto-${symbol.toLowerCase()}-${tx.hash}`,
+            amount: tx.amount,
+            currency: symbol,
+            tool: 'General',
+            method: 'Crypto',
+            contributor: 'Anonymous',
+            timestamp: date.toISOString(),
+            month: date.getUTCMonth(),
+            year: date.getUTCFullYear(),
+            transactionId: tx.hash
+        };
+    };
+
+    const pollCoin = symbol => {
+        const coin = settings.coins[symbol];
+
+        return settings.adapters[symbol].getIncomingTransactions(coin.address).then(txs => {
+            const recorded = [];
+
+            txs.forEach(tx => {
+                if (settings.store.has('Crypto', tx.hash)) {
+                    pending.delete(tx.hash);
+                    return;
+                }
+
+                const required = requiredConfirmations(symbol);
+                if (tx.confirmations < required) {
+                    pending.set(tx.hash, { symbol: symbol, amount: tx.amount, confirmations: tx.confirmations, required: required });
+                    return;
+                }
+
+                pending.delete(tx.hash);
+                const donation = toDonation(symbol, tx);
+                if (settings.store.add(donation)) {
+                    recorded.push(donation);
+                    settings.onRecorded(donation);
+                }
+            });
+
+            return recorded;
+        });
+    };
+
+    return {
+        // One pass over every watched coin; a failing adapter doesn't stop the others
+        poll: function() {
+            // Overlapping polls would race on the same pending transactions
+            if (polling) return polling;
+
+            const symbols = Object.keys(settings.adapters).filter(symbol => settings.coins[symbol]);
+            polling = Promise.all(symbols.map(symbol => pollCoin(symbol).catch(error => {
+                settings.onError(symbol, error);
+                return [];
+            }))).then(results => {
+                polling = null;
+                return [].concat(...results);
+            });
+            return polling;
+        },
+
+        start: function() {
+            if (timer) return;
+            this.poll();
+            timer = setInterval(() => this.poll(), settings.intervalMs);
+        },
+
+        stop: function() {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        getPending: function() {
+            return Array.from(pending, ([hash, info]) => Object.assign({ hash: hash }, info));
+        }
+    };
+}
+
+module.exports = {
+    createCryptoWatcher,
+    createEsploraAdapter,
+    createEtherscanAdapter,
+    fromBaseUnits
+};
@@ -0,0 +1,338 @@
+/**
+ * N3twork Donation Site - Webhook Receiver
+ * Receives Ko-fi and GitHub Sponsors webhooks, stores them as donation records
+ * (the same shape DonationTracker uses in js/main.js) and serves them read-only
+ * at /api/donations for the site to poll.
+ *
+ * Uses only Node built-ins. Configure with environment variables:
+ *   PORT                     port to listen on (default 8787)
+ *   DONATIONS_FILE           JSON file to store donations in (default server/donations.json)
+ *   KOFI_VERIFICATION_TOKEN  token from Ko-fi's webhook settings
+ *   GITHUB_WEBHOOK_SECRET    secret set on the GitHub Sponsors webhook
+ *   ALLOWED_ORIGIN           origin allowed to read the feed (default *)
+ *   TOOL_IDS                 comma-separated ToolData keys, e.g. "hackrfpro,rtlsdr"
+ *   CRYPTO_WATCH             set to 1 to watch the js/crypto-config.js addresses (see crypto-watcher.js)
+ *   CRYPTO_POLL_SECONDS      seconds between watcher polls (default 60)
+ *   CRYPTO_CONFIRMATIONS     confirmations required on every chain (default per coin in crypto-config.js)
+ *   BTC_EXPLORER_URL, LTC_EXPLORER_URL   Esplora API base URLs
+ *   ETH_EXPLORER_URL, BNB_EXPLORER_URL   Etherscan-style API URLs
+ *   ETHERSCAN_API_KEY, BSCSCAN_API_KEY   API keys for the two above
+ *
+ *   node server/donation-server.js
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const querystring = require('querystring');
+const CryptoConfig = require('../js/crypto-config.js');
+const CryptoAddress = require('../js/crypto-address.js');
+const { createCryptoWatcher, createEsploraAdapter, createEtherscanAdapter } = require('./crypto-watcher.js');
+
+// Must match DonationStore.SCHEMA_VERSION in js/main.js
+const SCHEMA_VERSION = 3;
+const MAX_BODY_BYTES = 100 * 1024;
+const MAX_CONTRIBUTOR_LENGTH = 60;
+
+// Error carrying the HTTP status to answer with
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Donation file, rewritten atomically so a crash never leaves half a file
+function createDonationFile(filePath) {
+    const read = () => {
+        if (!fs.existsSync(filePath)) return [];
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(data.donations) ? data.donations : [];
+    };
+
+    return {
+        donations: read(),
+
+        has: function(method, transactionId) {
+            return this.donations.some(d => d.method === method && d.transactionId === transactionId);
+        },
+
+        // Returns false when the transaction was already recorded
+        add: function(donation) {
+            if (this.has(donation.method, donation.transactionId)) return false;
+
+            this.donations.push(donation);
+            this.write();
+            return true;
+        },
+
+        write: function() {
+            const tmp = `${filePath}.${process.pid}.tmp`;
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tmp, JSON.stringify({
+                version: SCHEMA_VERSION,
+                savedAt: new Date().toISOString(),
+                donations: this.donations
+            }, null, 2));
+            fs.renameSync(tmp, filePath);
+        }
+    };
+}
+
+// Constant-time string comparison; false for different lengths
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function verifyGithubSignature(secret, rawBody, header) {
+    if (!secret || typeof header !== 'string' || !header.startsWith('sha256=')) return false;
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(expected, header);
+}
+
+// Same rules as DonationValidator.normalizeContributor in js/main.js
+function normalizeContributor(name) {
+    const clean = String(name || '')
+        .normalize('NFC')
+        // Line breaks and tabs separate words; other control, zero-width and bidi override characters go
+        .replace(/[\t\n\v\f\r\u0085\u2028\u2029]/g, ' ')
+        .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2066-\u2069\ufeff]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_CONTRIBUTOR_LENGTH)
+        .trim();
+
+    return clean || 'Anonymous';
+}
+
+// Credit a donation to a tool when its message or tier mentions a tool ID, e.g. "for #hackrfpro"
+function findTool(text, toolIds) {
+    const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/);
+    return toolIds.find(toolId => words.includes(toolId.toLowerCase())) || 'General';
+}
+
+function createRecord(fields) {
+    const amount = Math.round(Number(fields.amount) * 100) / 100;
+    if (!isFinite(amount) || amount <= 0) {
+        throw httpError(422, 'Payload has no positive amount');
+    }
+
+    const date = new Date(fields.timestamp);
+    if (isNaN(date.getTime())) {
+        throw httpError(422, 'Payload has no valid timestamp');
+    }
+
+    return {
+        id: `${fields.method === 'Ko-fi' ? 'kofi' : 'github'}-${fields.transactionId}`,
+        amount: amount,
+        currency: String(fields.currency || 'USD').toUpperCase(),
+        tool: fields.tool,
+        method: fields.method,
+        contributor: normalizeContributor(fields.contributor),
+        timestamp: date.toISOString(),
+        month: date.getUTCMonth(),
+        year: date.getUTCFullYear(),
+        transactionId: String(fields.transactionId)
+    };
+}
+
+// Ko-fi posts form-encoded data with the JSON payload in a "data" field
+function fromKofi(rawBody, options) {
+    let payload;
+    try {
+        payload = JSON.parse(querystring.parse(rawBody.toString('utf8')).data);
+    } catch (e) {
+        throw httpError(400, 'Expected a form field "data" containing JSON');
+    }
+
+    if (!options.kofiVerificationToken || !safeEqual(payload.verification_token || '', options.kofiVerificationToken)) {
+        throw httpError(401, 'Invalid verification token');
+    }
+    if (!payload.kofi_transaction_id) {
+        throw httpError(422, 'Payload has no kofi_transaction_id');
+    }
+
+    return createRecord({
+        transactionId: payload.kofi_transaction_id,
+        amount: payload.amount,
+        currency: payload.currency,
+        method: 'Ko-fi',
+        contributor: payload.is_public === false ? 'Anonymous' : payload.from_name,
+        tool: findTool(`${payload.message || ''} ${payload.tier_name || ''}`, options.toolIds),
+        timestamp: payload.timestamp
+    });
+}
+
+// Returns null for events that are acknowledged but don't represent a payment
+function fromGithub(rawBody, headers, options) {
+    if (!verifyGithubSignature(options.githubWebhookSecret, rawBody, headers['x-hub-signature-256'])) {
+        throw httpError(401, 'Invalid signature');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+        throw httpError(400, 'Expected a JSON body');
+    }
+
+    const event = headers['x-github-event'];
+    if (event !== 'sponsorship' || payload.action !== 'created') return null;
+
+    const sponsorship = payload.sponsorship || {};
+    const tier = sponsorship.tier || {};
+    const sponsor = sponsorship.sponsor || {};
+
+    return createRecord({
+        transactionId: sponsorship.node_id,
+        amount: tier.monthly_price_in_cents !== undefined ? tier.monthly_price_in_cents / 100 : tier.monthly_price_in_dollars,
+        currency: 'USD',
+        method: 'GitHub Sponsors',
+        contributor: sponsorship.privacy_level === 'private' ? 'Anonymous' : sponsor.login,
+        tool: findTool(tier.name, options.toolIds),
+        timestamp: sponsorship.created_at
+    });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Payload too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body, extraHeaders = {}) {
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+    }, extraHeaders));
+    res.end(JSON.stringify(body));
+}
+
+function createDonationServer(options = {}) {
+    const settings = Object.assign({
+        dataFile: path.join(__dirname, 'donations.json'),
+        kofiVerificationToken: '',
+        githubWebhookSecret: '',
+        allowedOrigin: '*',
+        toolIds: []
+    }, options);
+    const store = createDonationFile(settings.dataFile);
+    const corsHeaders = { 'Access-Control-Allow-Origin': settings.allowedOrigin, Vary: 'Origin' };
+
+    const record = (res, donation) => {
+        if (!donation) {
+            sendJson(res, 202, { recorded: false, reason: 'Event ignored' });
+            return;
+        }
+        const created = store.add(donation);
+        sendJson(res, created ? 201 : 200, { recorded: created, id: donation.id });
+    };
+
+    const routes = {
+        'POST /webhooks/kofi': (req, res, body) => record(res, fromKofi(body, settings)),
+        'POST /webhooks/github': (req, res, body) => record(res, fromGithub(body, req.headers, settings)),
+        'GET /api/donations': (req, res, body, url) => {
+            // ?since=<ISO date> limits the feed to newer donations
+            const since = Date.parse(url.searchParams.get('since') || '');
+            const donations = isNaN(since) ? store.donations : store.donations.filter(d => Date.parse(d.timestamp) > since);
+            sendJson(res, 200, { version: SCHEMA_VERSION, donations: donations }, corsHeaders);
+        },
+        'OPTIONS /api/donations': (req, res) => {
+            res.writeHead(204, Object.assign({ 'Access-Control-Allow-Methods': 'GET' }, corsHeaders));
+            res.end();
+        },
+        'GET /health': (req, res) => sendJson(res, 200, { ok: true, donations: store.donations.length })
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = routes[`${req.method} ${url.pathname}`];
+
+        if (!route) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const body = req.method === 'POST' ? readBody(req) : Promise.resolve(Buffer.alloc(0));
+        body
+            .then(raw => route(req, res, raw, url))
+            .catch(error => {
+                const status = error.status || 500;
+                if (status === 500) console.error('Webhook handling failed:', error);
+                sendJson(res, status, { error: status === 500 ? 'Internal error' : error.message });
+            });
+    });
+
+    server.store = store;
+    return server;
+}
+
+module.exports = {
+    createDonationServer,
+    verifyGithubSignature,
+    fromKofi,
+    fromGithub
+};
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    const server = createDonationServer({
+        dataFile: process.env.DONATIONS_FILE || path.join(__dirname, 'donations.json'),
+        kofiVerificationToken: process.env.KOFI_VERIFICATION_TOKEN || '',
+        githubWebhookSecret: process.env.GITHUB_WEBHOOK_SECRET || '',
+        allowedOrigin: process.env.ALLOWED_ORIGIN || '*',
+        toolIds: (process.env.TOOL_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+    });
+
+    if (!process.env.KOFI_VERIFICATION_TOKEN) console.warn('KOFI_VERIFICATION_TOKEN not set: Ko-fi webhooks will be rejected');
+    if (!process.env.GITHUB_WEBHOOK_SECRET) console.warn('GITHUB_WEBHOOK_SECRET not set: GitHub webhooks will be rejected');
+
+    server.listen(port, () => console.log(`🚀 Donation webhook receiver listening on http://localhost:${port}`));
+
+    if (process.env.CRYPTO_WATCH === '1') {
+        const env = process.env;
+        const verification = CryptoAddress.verifyAll(CryptoConfig);
+        const coins = {};
+        Object.keys(CryptoConfig).forEach(symbol => {
+            if (verification[symbol].valid) {
+                coins[symbol] = CryptoConfig[symbol];
+            } else {
+                console.error(`Not watching ${symbol}: ${verification[symbol].reason}`);
+            }
+        });
+        const watcher = createCryptoWatcher({
+            coins: coins,
+            store: server.store,
+            intervalMs: (Number(env.CRYPTO_POLL_SECONDS) || 60) * 1000,
+            confirmations: Number(env.CRYPTO_CONFIRMATIONS) || null,
+            adapters: {
+                BTC: createEsploraAdapter({ baseUrl: env.BTC_EXPLORER_URL || 'https://blockstream.info/api', decimals: CryptoConfig.BTC.decimals }),
+                LTC: createEsploraAdapter({ baseUrl: env.LTC_EXPLORER_URL || 'https://litecoinspace.org/api', decimals: CryptoConfig.LTC.decimals }),
+                ETH: createEtherscanAdapter({ baseUrl: env.ETH_EXPLORER_URL || 'https://api.etherscan.io/api', apiKey: env.ETHERSCAN_API_KEY, decimals: CryptoConfig.ETH.decimals }),
+                BNB: createEtherscanAdapter({ baseUrl: env.BNB_EXPLORER_URL || 'https://api.bscscan.com/api', apiKey: env.BSCSCAN_API_KEY, decimals: CryptoConfig.BNB.decimals })
+            },
+            onRecorded: donation => console.log(`💰 Recorded ${donation.amount} ${donation.currency} (${donation.transactionId})`)
+        });
+        watcher.start();
+    }
+}
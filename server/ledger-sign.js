@@ -0,0 +1,95 @@
+/**
+ * N3twork Donation Site - Ledger Signer
+ * Maintainer tool for the public donation ledger (see js/ledger.js). Appends
+ * donations the webhook receiver has stored that the ledger doesn't have yet,
+ * oldest first, and signs the new head. The existing chain is verified against
+ * the key before anything is appended, and entries are never rewritten.
+ *
+ *   node server/ledger-sign.js --generate-key <private-key.jwk>
+ *       writes a new ECDSA P-256 private key and prints the public JWK for
+ *       js/ledger-config.js. The Pages workflow deploys the whole repository, so
+ *       the key must be written outside it.
+ *
+ *   node server/ledger-sign.js --key <private-key.jwk> [--donations server/donations.json] [--ledger data/ledger.json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Ledger = require('../js/ledger.js');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--')) throw new Error(`Unexpected argument: ${argv[i]}`);
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function publicJwk(privateJwk) {
+    return { kty: privateJwk.kty, crv: privateJwk.crv, x: privateJwk.x, y: privateJwk.y };
+}
+
+function isInsideRepo(file) {
+    const relative = path.relative(REPO_ROOT, path.resolve(file));
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+async function generateKey(file) {
+    if (isInsideRepo(file)) throw new Error(`${file} is inside the repository, which is deployed as the site; write the key elsewhere`);
+    if (fs.existsSync(file)) throw new Error(`${file} already exists; refusing to overwrite a signing key`);
+
+    const pair = await Ledger.getSubtle().generateKey(Ledger.ALGORITHM, true, ['sign', 'verify']);
+    const jwk = await Ledger.getSubtle().exportKey('jwk', pair.privateKey);
+    fs.writeFileSync(file, JSON.stringify(jwk, null, 2), { mode: 0o600 });
+
+    console.log(`Private key written to ${file}`);
+    console.log('Public key for LedgerConfig.publicKey in js/ledger-config.js:');
+    console.log(JSON.stringify(publicJwk(jwk)));
+}
+
+async function signLedger(args) {
+    const privateJwk = JSON.parse(fs.readFileSync(args.key, 'utf8'));
+    const donationsFile = args.donations || path.join(__dirname, 'donations.json');
+    const ledgerFile = args.ledger || path.join(__dirname, '..', 'data', 'ledger.json');
+
+    let entries = [];
+    if (fs.existsSync(ledgerFile)) {
+        const existing = JSON.parse(fs.readFileSync(ledgerFile, 'utf8'));
+        const result = await Ledger.verify(existing, publicJwk(privateJwk));
+        if (result.status !== 'verified') {
+            throw new Error(`${ledgerFile} does not verify (${result.status}${result.entry ? ` at entry ${result.entry}` : ''}: ${result.reason})`);
+        }
+        entries = existing.entries;
+    }
+
+    const donations = fs.existsSync(donationsFile) ? JSON.parse(fs.readFileSync(donationsFile, 'utf8')).donations || [] : [];
+    const known = new Set(entries.map(entry => entry.id));
+    const added = donations
+        .filter(donation => !known.has(donation.id))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const ledger = await Ledger.sign(await Ledger.append(entries, added), privateJwk);
+    fs.writeFileSync(ledgerFile, `${JSON.stringify(ledger, null, 2)}\n`);
+    console.log(`Appended ${added.length} donation(s); ${ledgerFile} now has ${ledger.head.count} signed entries`);
+}
+
+module.exports = { signLedger, generateKey };
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const run = args['generate-key'] ? generateKey(args['generate-key']) : args.key ? signLedger(args) : null;
+
+    if (!run) {
+        console.error('Usage: node server/ledger-sign.js --generate-key <file> | --key <file> [--donations <file>] [--ledger <file>]');
+        process.exit(1);
+    }
+    run.catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
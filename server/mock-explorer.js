@@ -0,0 +1,124 @@
+/**
+ * N3twork Donation Site - Mock Block Explorer
+ * Serves the Esplora and Etherscan endpoints server/crypto-watcher.js uses from
+ * fixture data, so the watcher can be exercised offline.
+ *
+ *   node server/mock-explorer.js [fixtures.json]   (default server/fixtures/explorer-fixtures.json)
+ *
+ *   GET  /btc/address/:address/txs          Esplora transactions (also /ltc)
+ *   GET  /btc/blocks/tip/height             Esplora tip height
+ *   GET  /eth/api?module=account&action=txlist&address=...   Etherscan list (also /bnb)
+ *   POST /mine?blocks=N                     advance every chain's tip by N blocks
+ *   POST /:chain/transactions               add a fixture transaction (JSON body)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function esploraTransaction(tx, tipHeight) {
+    const confirmed = tx.block_height !== null && tx.block_height !== undefined && tx.block_height <= tipHeight;
+    return {
+        txid: tx.txid,
+        vin: tx.vin || [],
+        vout: tx.vout || [],
+        status: confirmed
+            ? { confirmed: true, block_height: tx.block_height, block_time: tx.block_time }
+            : { confirmed: false }
+    };
+}
+
+function etherscanTransaction(tx, tipHeight) {
+    const mined = tx.blockNumber !== null && tx.blockNumber !== undefined && tx.blockNumber <= tipHeight;
+    return Object.assign({}, tx, {
+        blockNumber: mined ? String(tx.blockNumber) : '',
+        confirmations: mined ? String(tipHeight - tx.blockNumber + 1) : '0',
+        isError: tx.isError || '0'
+    });
+}
+
+// fixtures: { btc: { type: 'esplora', tipHeight, transactions: [...] }, eth: { type: 'etherscan', ... } }
+function createMockExplorer(fixtures) {
+    const chains = JSON.parse(JSON.stringify(fixtures));
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (req.method === 'POST' && url.pathname === '/mine') {
+            const blocks = Number(url.searchParams.get('blocks')) || 1;
+            Object.keys(chains).forEach(name => { chains[name].tipHeight += blocks; });
+            sendJson(res, 200, Object.keys(chains).reduce((tips, name) => Object.assign(tips, { [name]: chains[name].tipHeight }), {}));
+            return;
+        }
+
+        const chain = chains[parts[0]];
+        if (!chain) {
+            sendJson(res, 404, { error: 'Unknown chain' });
+            return;
+        }
+
+        if (req.method === 'POST' && parts[1] === 'transactions') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                try {
+                    chain.transactions.push(JSON.parse(body));
+                    sendJson(res, 201, { added: true });
+                } catch (e) {
+                    sendJson(res, 400, { error: 'Invalid JSON' });
+                }
+            });
+            return;
+        }
+
+        if (chain.type === 'esplora' && parts[1] === 'blocks' && parts[2] === 'tip' && parts[3] === 'height') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(String(chain.tipHeight));
+            return;
+        }
+
+        if (chain.type === 'esplora' && parts[1] === 'address' && parts[3] === 'txs') {
+            const address = parts[2];
+            const txs = chain.transactions
+                .filter(tx => (tx.vout || []).concat((tx.vin || []).map(input => input.prevout || {}))
+                    .some(output => output.scriptpubkey_address === address))
+                .map(tx => esploraTransaction(tx, chain.tipHeight));
+            sendJson(res, 200, txs);
+            return;
+        }
+
+        if (chain.type === 'etherscan' && parts[1] === 'api' && url.searchParams.get('action') === 'txlist') {
+            const address = String(url.searchParams.get('address')).toLowerCase();
+            const txs = chain.transactions
+                .filter(tx => [tx.to, tx.from].some(value => String(value).toLowerCase() === address))
+                .map(tx => etherscanTransaction(tx, chain.tipHeight));
+            sendJson(res, 200, txs.length > 0
+                ? { status: '1', message: 'OK', result: txs }
+                : { status: '0', message: 'No transactions found', result: [] });
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    });
+
+    server.chains = chains;
+    return server;
+}
+
+module.exports = { createMockExplorer };
+
+if (require.main === module) {
+    const fixturesFile = process.argv[2] || path.join(__dirname, 'fixtures', 'explorer-fixtures.json');
+    const port = Number(process.env.PORT) || 8790;
+    const server = createMockExplorer(JSON.parse(fs.readFileSync(fixturesFile, 'utf8')));
+
+    server.listen(port, () => console.log(`🧪 Mock block explorer listening on http://localhost:${port}`));
+}
@@ -0,0 +1,104 @@
+/**
+ * N3twork Donation Site - Service Worker
+ * Precaches the app shell so the site works offline: tool data, the crypto
+ * addresses and the legal pages all ship inside the precached scripts.
+ * Bump CACHE_VERSION on every deploy. The new worker then installs alongside
+ * the old one and waits; ServiceWorkerManager in js/main.js offers the reload
+ * that activates it.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'boostbond-v5';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'fonts/InterVariable.woff2',
+    'js/theme-preference.js',
+    'js/locales/en.js',
+    'js/locales/fr.js',
+    'js/profile-config.js',
+    'js/rates-config.js',
+    'js/crypto-config.js',
+    'js/crypto-address.js',
+    'js/qrcode.js',
+    'js/charts.js',
+    'js/ledger-config.js',
+    'js/ledger.js',
+    'js/main.js',
+    'data/expenses.json',
+    'images/donation.png',
+    'images/profile1.jpg',
+    'images/profile2.jpg',
+    'images/profile3.jpg',
+    'images/profile4.jpg',
+    'images/crypto/btc.svg',
+    'images/crypto/eth.svg',
+    'images/crypto/bnb.svg',
+    'images/crypto/ltc.svg',
+    'images/tools/OBD-II.jpg',
+    'images/tools/WiFiPineapple-Hak5.png',
+    'images/tools/WiredOBD-II.jpg',
+    'images/tools/alpha.jpg',
+    'images/tools/hackrf-pro-preliminary-photo.jpg',
+    'images/tools/hackrf.jpeg',
+    'images/tools/rf-generators.jpg',
+    'images/tools/rtl-sdr.jpg',
+    'images/tools/ubertoothone.jpg'
+];
+
+// Expenses and the signed ledger change between deploys, so they come from the
+// network when it answers; the ledger is only published once a maintainer key exists,
+// so it is cached on first use rather than precached
+const NETWORK_FIRST = ['data/expenses.json', 'data/ledger.json'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys().then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+    )));
+});
+
+// Sent by the page when the visitor accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // The donation feed and anything cross-origin go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Every page URL is the same app shell; ?q= and the like are read by the scripts
+    if (request.mode === 'navigate') {
+        event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+        return;
+    }
+
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    event.respondWith(NETWORK_FIRST.includes(path) ? networkFirst(request) : cacheFirst(request));
+});
+
+function cacheFirst(request) {
+    return caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request));
+}
+
+function networkFirst(request) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => cached || Response.error()));
+}
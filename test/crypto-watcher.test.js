@@ -0,0 +1,125 @@
+/**
+ * N3twork Donation Site - Crypto Watcher Tests
+ * Runs server/crypto-watcher.js against server/mock-explorer.js on a free port,
+ * with the addresses and confirmation counts from js/crypto-config.js, and
+ * checks that payments are held back until they have enough confirmations and
+ * are then recorded exactly once.
+ *
+ *   node --test test/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const CryptoConfig = require('../js/crypto-config.js');
+const { createCryptoWatcher, createEsploraAdapter, createEtherscanAdapter } = require('../server/crypto-watcher.js');
+const { createMockExplorer } = require('../server/mock-explorer.js');
+const { loadSite } = require('./helpers/load-site.js');
+
+const FIXTURES = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'server', 'fixtures', 'explorer-fixtures.json'), 'utf8'));
+
+// The { has, add } part of the receiver's donation file, in memory
+function createMemoryStore() {
+    return {
+        donations: [],
+        has: function(method, transactionId) {
+            return this.donations.some(d => d.method === method && d.transactionId === transactionId);
+        },
+        add: function(donation) {
+            if (this.has(donation.method, donation.transactionId)) return false;
+            this.donations.push(donation);
+            return true;
+        }
+    };
+}
+
+async function startExplorer(t) {
+    const server = createMockExplorer(FIXTURES);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function createWatcher(baseUrl, store) {
+    return createCryptoWatcher({
+        coins: CryptoConfig,
+        store: store,
+        onError: (symbol, error) => assert.fail(`${symbol} poll failed: ${error.message}`),
+        adapters: {
+            BTC: createEsploraAdapter({ baseUrl: `${baseUrl}/btc`, decimals: CryptoConfig.BTC.decimals }),
+            LTC: createEsploraAdapter({ baseUrl: `${baseUrl}/ltc`, decimals: CryptoConfig.LTC.decimals }),
+            ETH: createEtherscanAdapter({ baseUrl: `${baseUrl}/eth/api`, decimals: CryptoConfig.ETH.decimals }),
+            BNB: createEtherscanAdapter({ baseUrl: `${baseUrl}/bnb/api`, decimals: CryptoConfig.BNB.decimals })
+        }
+    });
+}
+
+const summarize = donations => donations
+    .map(donation => `${donation.amount} ${donation.currency}`)
+    .sort();
+
+const pendingSymbols = watcher => Array.from(new Set(watcher.getPending().map(tx => tx.symbol))).sort();
+
+test('payments are recorded once they have enough confirmations, and only once', async t => {
+    const baseUrl = await startExplorer(t);
+    const store = createMemoryStore();
+    const watcher = createWatcher(baseUrl, store);
+
+    // BTC 0.0015 (11 of 3), ETH 0.02 (21 of 12) and 10 litoshi of LTC (11 of 6) are deep
+    // enough; BTC 0.0005 (1 of 3), the unconfirmed LTC payment and BNB 0.05 (6 of 15) are not
+    assert.deepStrictEqual(summarize(await watcher.poll()), ['0.0015 BTC', '0.02 ETH', '1e-7 LTC']);
+    assert.deepStrictEqual(pendingSymbols(watcher), ['BNB', 'BTC', 'LTC']);
+    assert.deepStrictEqual(summarize(await watcher.poll()), [], 'a second poll records nothing new');
+    assert.deepStrictEqual(pendingSymbols(watcher), ['BNB', 'BTC', 'LTC']);
+
+    const mine = () => fetch(`${baseUrl}/mine?blocks=1`, { method: 'POST' }).then(response => assert.strictEqual(response.status, 200));
+
+    // One block short of the threshold BTC 0.0005 still waits, at 2 of 3
+    await mine();
+    assert.deepStrictEqual(summarize(await watcher.poll()), []);
+    assert.strictEqual(watcher.getPending().find(tx => tx.symbol === 'BTC').confirmations, 2);
+
+    // The next block reaches it; BNB is still short and LTC unmined
+    await mine();
+    assert.deepStrictEqual(summarize(await watcher.poll()), ['0.0005 BTC']);
+    assert.deepStrictEqual(pendingSymbols(watcher), ['BNB', 'LTC']);
+    assert.deepStrictEqual(summarize(await watcher.poll()), [], 'polling again records nothing twice');
+
+    assert.deepStrictEqual(summarize(store.donations), ['0.0005 BTC', '0.0015 BTC', '0.02 ETH', '1e-7 LTC']);
+    const hashes = store.donations.map(donation => donation.transactionId);
+    assert.strictEqual(new Set(hashes).size, hashes.length, 'each transaction is recorded once');
+    store.donations.forEach(donation => {
+        assert.strictEqual(donation.method, 'Crypto');
+        assert.strictEqual(donation.id, `crypto-${donation.currency.toLowerCase()}-${donation.transactionId}`);
+    });
+});
+
+test('a shared confirmation count overrides the per-coin ones', async t => {
+    const baseUrl = await startExplorer(t);
+    const watcher = createCryptoWatcher({
+        coins: CryptoConfig,
+        store: createMemoryStore(),
+        confirmations: 1,
+        adapters: {
+            BTC: createEsploraAdapter({ baseUrl: `${baseUrl}/btc` }),
+            BNB: createEtherscanAdapter({ baseUrl: `${baseUrl}/bnb/api` })
+        }
+    });
+
+    assert.deepStrictEqual(summarize(await watcher.poll()), ['0.0005 BTC', '0.0015 BTC', '0.05 BNB']);
+    assert.deepStrictEqual(watcher.getPending(), []);
+});
+
+test('recorded payments, dust included, pass the site\'s feed validation', async t => {
+    const baseUrl = await startExplorer(t);
+    const store = createMemoryStore();
+    await createWatcher(baseUrl, store).poll();
+
+    const site = loadSite();
+    const imported = site.evaluate(`${JSON.stringify(store.donations)}.map(record => DonationImporter.fromRecord(record))`);
+    assert.deepStrictEqual(summarize(imported), summarize(store.donations));
+    assert.ok(imported.some(donation => donation.amount === 1e-7 && donation.currency === 'LTC'));
+});
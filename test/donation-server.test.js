@@ -0,0 +1,137 @@
+/**
+ * N3twork Donation Site - Webhook Receiver Tests
+ * Replays the recorded webhook payloads in server/samples against a receiver
+ * started in-process on a free port, signed the way Ko-fi and GitHub would sign
+ * them, and checks the responses and the /api/donations feed. Each sample is
+ * sent twice: the second delivery must be recognised as a duplicate.
+ *
+ *   node --test test/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const querystring = require('querystring');
+const test = require('node:test');
+const { createDonationServer } = require('../server/donation-server.js');
+
+const SAMPLES_DIR = path.join(__dirname, '..', 'server', 'samples');
+const KOFI_VERIFICATION_TOKEN = 'replay-kofi-token';
+const GITHUB_WEBHOOK_SECRET = 'replay-github-secret';
+const TOOL_IDS = ['hackrfpro', 'rtlsdr'];
+
+// Status of the first and of the repeated delivery of each sample
+const EXPECTED_STATUS = {
+    'github-sponsorship-cancelled.json': [202, 202],
+    'github-sponsorship-created.json': [201, 200],
+    'kofi-donation.json': [201, 200],
+    'kofi-private-subscription.json': [201, 200]
+};
+
+// The feed after the replay, in recording order
+const EXPECTED_FEED = [
+    { id: 'github-MDExOlNwb25zb3JzaGlwMQ==', amount: 10, currency: 'USD', tool: 'rtlsdr', method: 'GitHub Sponsors', contributor: 'octocat' },
+    { id: 'kofi-00000000-1111-2222-3333-444444444444', amount: 15, currency: 'USD', tool: 'hackrfpro', method: 'Ko-fi', contributor: 'Ama Mensah' },
+    { id: 'kofi-55555555-6666-7777-8888-999999999999', amount: 5, currency: 'EUR', tool: 'General', method: 'Ko-fi', contributor: 'Anonymous' }
+];
+
+function request(baseUrl, method, pathname, body = '', headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(new URL(pathname, baseUrl), {
+            method: method,
+            headers: Object.assign({ 'Content-Length': Buffer.byteLength(body) }, headers)
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Builds the request a provider would send for one sample file
+function buildRequest(fileName, payload) {
+    if (fileName.startsWith('kofi-')) {
+        payload.verification_token = KOFI_VERIFICATION_TOKEN;
+        return {
+            pathname: '/webhooks/kofi',
+            body: querystring.stringify({ data: JSON.stringify(payload) }),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        };
+    }
+
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', GITHUB_WEBHOOK_SECRET).update(body).digest('hex');
+    return {
+        pathname: '/webhooks/github',
+        body: body,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-GitHub-Event': 'sponsorship',
+            'X-GitHub-Delivery': crypto.randomUUID(),
+            'X-Hub-Signature-256': `sha256=${signature}`
+        }
+    };
+}
+
+// Receiver on a free port with an empty data file; removed again when the test ends
+async function startServer(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'boostbond-replay-'));
+    const server = createDonationServer({
+        dataFile: path.join(dir, 'donations.json'),
+        kofiVerificationToken: KOFI_VERIFICATION_TOKEN,
+        githubWebhookSecret: GITHUB_WEBHOOK_SECRET,
+        toolIds: TOOL_IDS
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    t.after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function readSample(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, fileName), 'utf8'));
+}
+
+test('replayed samples are recorded once and served in the feed', async t => {
+    const baseUrl = await startServer(t);
+    const files = fs.readdirSync(SAMPLES_DIR).filter(name => name.endsWith('.json')).sort();
+    assert.deepStrictEqual(files, Object.keys(EXPECTED_STATUS).sort(), 'Every sample needs an expected status');
+
+    for (const attempt of [0, 1]) {
+        for (const fileName of files) {
+            const req = buildRequest(fileName, readSample(fileName));
+            const response = await request(baseUrl, 'POST', req.pathname, req.body, req.headers);
+            assert.strictEqual(response.status, EXPECTED_STATUS[fileName][attempt], `${fileName}, delivery ${attempt + 1}: ${response.body}`);
+        }
+    }
+
+    const feed = await request(baseUrl, 'GET', '/api/donations');
+    assert.strictEqual(feed.status, 200, 'GET /api/donations');
+    const donations = JSON.parse(feed.body).donations;
+    const fields = Object.keys(EXPECTED_FEED[0]);
+    assert.deepStrictEqual(
+        donations.map(donation => Object.fromEntries(fields.map(field => [field, donation[field]]))),
+        EXPECTED_FEED,
+        '/api/donations contents'
+    );
+});
+
+test('line breaks in a contributor name become spaces', async t => {
+    const baseUrl = await startServer(t);
+    const payload = Object.assign(readSample('kofi-donation.json'), { from_name: 'Ama\r\nMensah\u200b' });
+    const req = buildRequest('kofi-donation.json', payload);
+    assert.strictEqual((await request(baseUrl, 'POST', req.pathname, req.body, req.headers)).status, 201);
+
+    const feed = JSON.parse((await request(baseUrl, 'GET', '/api/donations')).body);
+    assert.strictEqual(feed.donations[0].contributor, 'Ama Mensah');
+});
@@ -0,0 +1,30 @@
+/**
+ * N3twork Donation Site - Donation Validator Tests
+ * Checks contributor name clean-up in DonationValidator.
+ *
+ *   node --test test/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const { loadSite } = require('./helpers/load-site.js');
+
+function normalize(site, name) {
+    return site.evaluate(`DonationValidator.normalizeContributor(${JSON.stringify(name)})`);
+}
+
+test('line breaks and tabs in contributor names become single spaces', () => {
+    const site = loadSite();
+    assert.strictEqual(normalize(site, 'Jane\nDoe'), 'Jane Doe');
+    assert.strictEqual(normalize(site, 'Jane\r\n\tDoe'), 'Jane Doe');
+    assert.strictEqual(normalize(site, 'Jane Doe'), 'Jane Doe');
+});
+
+test('invisible characters in contributor names are removed, not turned into spaces', () => {
+    const site = loadSite();
+    assert.strictEqual(normalize(site, 'Ja​ne ‮Doe﻿'), 'Jane Doe');
+    assert.strictEqual(normalize(site, 'Jane\u0000\u0007Doe'), 'JaneDoe');
+    assert.strictEqual(normalize(site, ' ​\n '), 'Anonymous');
+});
@@ -0,0 +1,55 @@
+/**
+ * N3twork Donation Site - Test Page Loader
+ * Loads the page scripts (in index.html order) into a bare VM context without
+ * booting the app, for tests of the browser modules in js/.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Just enough of a browser for the scripts to evaluate; document stays "loading" so App never boots
+function loadSite() {
+    const noop = () => {};
+    const storage = new Map();
+    const context = vm.createContext({
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        Intl: Intl,
+        URL: URL,
+        navigator: { language: 'en' },
+        matchMedia: () => ({ matches: false, addEventListener: noop }),
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        document: {
+            readyState: 'loading',
+            addEventListener: noop,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            getElementById: () => null,
+            documentElement: { lang: 'en', setAttribute: noop, removeAttribute: noop }
+        }
+    });
+    context.window = context;
+    context.addEventListener = noop;
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    for (const [, src] of html.matchAll(/<script src="([^"]+)"/g)) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+    }
+    return {
+        setDonations: donations => vm.runInContext(`AppState.donations = ${JSON.stringify(donations)};`, context),
+        // Results come back through JSON so assertions compare plain values from this realm
+        evaluate: code => JSON.parse(vm.runInContext(`JSON.stringify(${code})`, context))
+    };
+}
+
+module.exports = { loadSite };
@@ -0,0 +1,62 @@
+/**
+ * N3twork Donation Site - Offline Queue Tests
+ * Checks that a donation entered while offline is reconciled with the copy the
+ * webhook receiver recorded, so it is only counted once.
+ *
+ *   node --test test/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const { loadSite } = require('./helpers/load-site.js');
+
+const OFFLINE_ENTRY = {
+    id: 'offline-1',
+    amount: 15,
+    currency: 'USD',
+    tool: 'hackrfpro',
+    method: 'Ko-fi',
+    contributor: 'Ama Mensah',
+    timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+};
+
+// What server/donation-server.js records for the same payment when the message names no tool
+const FEED_RECORD = Object.assign({}, OFFLINE_ENTRY, {
+    id: 'kofi-00000000-1111-2222-3333-444444444444',
+    tool: 'General',
+    contributor: 'ama mensah ',
+    timestamp: new Date().toISOString(),
+    transactionId: '00000000-1111-2222-3333-444444444444'
+});
+
+function reconcile(offline, feed) {
+    const site = loadSite();
+    site.setDonations([offline]);
+    return site.evaluate(`(() => {
+        // No page to show the "reconciled" toast on
+        Utils.showNotification = () => {};
+        OfflineQueue.ids = [${JSON.stringify(offline.id)}];
+        const replaced = OfflineQueue.reconcile(${JSON.stringify(feed)});
+        return { replaced: replaced.size, queued: OfflineQueue.ids, ids: AppState.donations.map(d => d.id) };
+    })()`);
+}
+
+test('a General feed record replaces the offline entry for a specific tool', () => {
+    const result = reconcile(OFFLINE_ENTRY, [FEED_RECORD]);
+    assert.deepStrictEqual(result, { replaced: 1, queued: [], ids: [] });
+});
+
+test('an offline entry for General matches a feed record credited to a tool', () => {
+    const offline = Object.assign({}, OFFLINE_ENTRY, { tool: 'General' });
+    const feed = Object.assign({}, FEED_RECORD, { tool: 'hackrfpro' });
+    assert.strictEqual(reconcile(offline, [feed]).replaced, 1);
+});
+
+test('records for two different tools, or a different source, are not the same donation', () => {
+    const otherTool = Object.assign({}, FEED_RECORD, { tool: 'rtlsdr' });
+    const otherSource = Object.assign({}, FEED_RECORD, { method: 'GitHub Sponsors' });
+    const result = reconcile(OFFLINE_ENTRY, [otherTool, otherSource]);
+    assert.deepStrictEqual(result, { replaced: 0, queued: ['offline-1'], ids: ['offline-1'] });
+});
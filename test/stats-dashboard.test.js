@@ -0,0 +1,58 @@
+/**
+ * N3twork Donation Site - Stats Dashboard Tests
+ * Checks StatsDashboard's grouping against contributor names that collide
+ * with Object.prototype.
+ *
+ *   node --test test/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const { loadSite } = require('./helpers/load-site.js');
+
+const PROTOTYPE_NAMES = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+
+function donationsFrom(names) {
+    return names.map((name, index) => ({
+        id: `d${index}`,
+        amount: 10 + index,
+        currency: 'USD',
+        tool: 'General',
+        method: 'Ko-fi',
+        contributor: name,
+        timestamp: '2026-10-01T12:00:00.000Z',
+        month: 9,
+        year: 2026
+    }));
+}
+
+test('leaderboard groups contributors named after Object.prototype properties', () => {
+    const site = loadSite();
+    site.setDonations(donationsFrom(PROTOTYPE_NAMES.concat('constructor', 'Anonymous')));
+
+    const board = site.evaluate('StatsDashboard.getLeaderboard()');
+    assert.strictEqual(board.anonymous, 1);
+    assert.deepStrictEqual(
+        board.leaders.map(leader => [leader.name, leader.total]),
+        [['constructor', 24], ['hasOwnProperty', 13], ['__proto__', 12], ['toString', 11]]
+    );
+});
+
+test('leaderboard renders those names escaped', () => {
+    const site = loadSite();
+    site.setDonations(donationsFrom(PROTOTYPE_NAMES.concat('<b>x</b>')));
+
+    const html = site.evaluate('StatsDashboard.renderLeaderboard(value => String(value))');
+    PROTOTYPE_NAMES.forEach(name => assert.ok(html.includes(name), `${name} is listed`));
+    assert.ok(html.includes('&lt;b&gt;x&lt;/b&gt;'));
+});
+
+test('totals by field accept the same names as keys', () => {
+    const site = loadSite();
+    site.setDonations(donationsFrom(PROTOTYPE_NAMES));
+
+    const totals = site.evaluate('StatsDashboard.getTotalsBy("contributor", name => name)');
+    assert.deepStrictEqual(totals.map(point => point.label), ['hasOwnProperty', '__proto__', 'toString', 'constructor']);
+});